@@ -5,20 +5,24 @@
 
 'use strict';
 
-const { Adapter, Device, Property, Event, Action } = require('gateway-addon');
+const { Adapter, Device, Property, Event, Action, Database } = require('gateway-addon');
 const manifest = require('./manifest.json');
 const heos = require('heos-api');
 const net = require('net');
+const { EventEmitter } = require('events');
 const { Client } = require('node-ssdp');
 const fetch = require('node-fetch');
 const xmlParser = require('fast-xml-parser');
+const Jimp = require('jimp');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const S_TO_MS = 1000;
 
 // heos: http://rn.dmglobal.com/euheos/HEOS_CLI_ProtocolSpecification.pdf
 // telnet: http://assets.denon.com/DocumentMaster/us/DENON_FY20%20AVR_PROTOCOL_V03_03042020.xlsx?Web=1
 // telnet control: https://assets.denon.com/_layouts/15/xlviewer.aspx?id=/DocumentMaster/us/DENON_FY20%20AVR_PROTOCOL_V03_03042020.xlsx
 // IR codes: http://assets.denon.com/DocumentMaster/us/AVR-X3600H_IR_CODE_V01_03042020.doc
-//TODO offer a device per zone
 //TODO make discovery faster/use IPs from AVR discovery for HEOS?
 
 const SOURCES = {
@@ -64,6 +68,189 @@ const NO_STATION = [
     1025
 ];
 
+const QUEUE_PAGE_SIZE = 100;
+const BROWSE_PAGE_SIZE = 50;
+const PROGRESS_INTERVAL = 1000;
+const ART_SIZE = 600;
+const ART_CACHE_SIZE = 50;
+const ART_TIMEOUT = 10000;
+const ART_FILE = 'album-art.png';
+
+// Service option IDs from the CLI spec that can apply to the now playing media
+const SERVICE_OPTIONS = {
+    1: {
+        name: 'addTrackToLibrary',
+        title: 'Add Track to Library'
+    },
+    2: {
+        name: 'addAlbumToLibrary',
+        title: 'Add Album to Library'
+    },
+    3: {
+        name: 'addStationToLibrary',
+        title: 'Add Station to Library'
+    },
+    11: {
+        name: 'thumbsUp',
+        title: 'Thumbs Up'
+    },
+    12: {
+        name: 'thumbsDown',
+        title: 'Thumbs Down'
+    },
+    13: {
+        name: 'createStation',
+        title: 'Create Station',
+        input: {
+            type: 'string'
+        }
+    },
+    19: {
+        name: 'addToFavorites',
+        title: 'Add to HEOS Favorites'
+    }
+};
+
+const ADD_CRITERIA = {
+    'Play Now': 1,
+    'Play Next': 2,
+    'Add to End': 3,
+    'Replace and Play': 4
+};
+
+/**
+ * Escape the characters the HEOS CLI reserves in attribute values.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeHeosAttribute = (value) => value.replace(/%/g, '%25')
+    .replace(/&/g, '%26')
+    .replace(/=/g, '%3D');
+
+/**
+ * Reverse encodeHeosAttribute for values HEOS sends back, like the account name.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeHeosAttribute = (value) => value.replace(/%3D/g, '=')
+    .replace(/%26/g, '&')
+    .replace(/%25/g, '%');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 300000;
+const HEARTBEAT_INTERVAL = 30000;
+const HEARTBEAT_TIMEOUT = 10000;
+const KEEPALIVE_DELAY = 60000;
+const DESCRIPTION_PORT = 8080;
+const DESCRIPTION_TIMEOUT = 10000;
+const HEOS_CONNECT_TIMEOUT = 10000;
+
+/**
+ * Exponential backoff with jitter, so devices that dropped at the same time
+ * don't all reconnect at once.
+ *
+ * @param {number} attempt - Number of failed attempts so far.
+ * @returns {number} Delay in ms.
+ */
+const getReconnectDelay = (attempt) => {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * (2 ** attempt));
+    return (delay / 2) + (Math.random() * delay / 2);
+};
+
+/**
+ * Connect to a HEOS device, heos.connect itself only gives up after the
+ * connect timeout of the OS.
+ *
+ * @param {string} address
+ * @returns {Promise<HeosConnection>}
+ */
+const connectHeos = async (address) => {
+    let timeout;
+    let timedOut = false;
+    const connecting = heos.connect(address);
+    connecting.then((connection) => {
+        if(timedOut) {
+            connection.close();
+        }
+    }, () => {});
+    try {
+        return await Promise.race([
+            connecting,
+            new Promise((resolve, reject) => {
+                timeout = setTimeout(() => {
+                    timedOut = true;
+                    reject(new Error(`Timed out connecting to HEOS at ${address}`));
+                }, HEOS_CONNECT_TIMEOUT);
+            })
+        ]);
+    }
+    finally {
+        clearTimeout(timeout);
+    }
+};
+
+// Time between volume steps of a fade, well above the rate limits of telnet and HEOS
+const FADE_STEP_INTERVAL = 500;
+const FADE_MAX_DURATION = 3600;
+
+// Settings restored from snapshots after the power and the input, so they apply to the restored input
+const HEOS_SNAPSHOT_LEVELS = [ 'volume', 'muted' ];
+const ZONE_SNAPSHOT_LEVELS = [ 'volume', 'muted' ];
+const AVR_SNAPSHOT_LEVELS = [
+    'surroundMode',
+    'multEQ',
+    'dynamicEQ',
+    'referenceLevelOffset',
+    'dynamicVolume',
+    'audysseyLFC',
+    'containmentAmount',
+    'volume',
+    'muted'
+];
+// The AVR ignores commands while it is still starting up
+const POWER_ON_DELAY = 2000;
+
+const DEFAULT_QUIET_HOURS_START = '22:00';
+const DEFAULT_QUIET_HOURS_END = '07:00';
+const MINUTES_PER_HOUR = 60;
+const MULTIPLE_OF_TOLERANCE = 1e-9;
+
+/**
+ * @param {string} time - Time of day, like "22:00".
+ * @returns {number} Minutes since midnight.
+ */
+const parseTimeOfDay = (time) => {
+    const [ hours, minutes ] = time.split(':').map((part) => Number.parseInt(part, 10));
+    return (hours * MINUTES_PER_HOUR) + minutes;
+};
+
+/**
+ * @param {string} start - Time of day, like "22:00".
+ * @param {string} end - Time of day, before start for ranges over midnight.
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+const isWithinTimeOfDay = (start, end, date = new Date()) => {
+    const now = (date.getHours() * MINUTES_PER_HOUR) + date.getMinutes();
+    const startMinutes = parseTimeOfDay(start);
+    const endMinutes = parseTimeOfDay(end);
+    if(startMinutes <= endMinutes) {
+        return now >= startMinutes && now < endMinutes;
+    }
+    return now >= startMinutes || now < endMinutes;
+};
+
+/**
+ * @param {number} value
+ * @param {number} [limit]
+ * @returns {number}
+ */
+const clampVolume = (value, limit) => (limit === undefined ? value : Math.min(value, limit));
+
 class HEOSProperty extends Property {
     async checkValue(value) {
         if(this.readOnly) {
@@ -78,6 +265,14 @@ class HEOSProperty extends Property {
             throw new Error(`Value bigger than maximum: ${this.maximum}`);
         }
 
+        if(typeof this.multipleOf !== 'undefined') {
+            const steps = value / this.multipleOf;
+            // Tolerate rounding errors of steps like 0.1
+            if(Math.abs(steps - Math.round(steps)) > MULTIPLE_OF_TOLERANCE) {
+                throw new Error(`Value not a multiple of: ${this.multipleOf}`);
+            }
+        }
+
         if(this.enum && this.enum.length > 0 && !this.enum.includes(`${value}`)) {
             throw new Error('Invalid enum value');
         }
@@ -98,13 +293,14 @@ class HEOSProperty extends Property {
                 }, this);
                 break;
             case 'volume':
+                value = clampVolume(value, this.device.getVolumeLimit());
                 this.device.adapter.makeHeosRequest('player', 'set_volume', {
                     pid: this.device.heosPlayer.pid,
                     level: Math.floor(value).toString(10) //TODO can we send a float here?
                 }, this);
                 break;
             case 'muted':
-                this.device.adapter.makeHeosRequest('player', 'set_muted', {
+                this.device.adapter.makeHeosRequest('player', 'set_mute', {
                     pid: this.device.heosPlayer.pid,
                     state: value ? 'on' : 'off'
                 }, this);
@@ -125,12 +321,593 @@ class HEOSProperty extends Property {
                     shuffle: value ? 'on' : 'off'
                 }, this);
                 break;
+            case 'browseItem':
+                // Selection updates the value, opening a container resets it.
+                await this.device.browser.select(value);
+                return this.value;
+            case 'groupVolume':
+                if(!this.device.group) {
+                    throw new Error('Player is not in a group');
+                }
+                await this.device.adapter.makeHeosRequest('group', 'set_volume', {
+                    gid: this.device.group.gid,
+                    level: Math.floor(value).toString(10)
+                }, this.device);
+                break;
+            case 'groupMuted':
+                if(!this.device.group) {
+                    throw new Error('Player is not in a group');
+                }
+                await this.device.adapter.makeHeosRequest('group', 'set_mute', {
+                    gid: this.device.group.gid,
+                    state: value ? 'on' : 'off'
+                }, this.device);
+                break;
         }
         this.setCachedValueAndNotify(value);
         return value;
     }
 }
 
+/**
+ * Steps the volume property of a device to a target over time.
+ */
+class VolumeFade {
+    /**
+     * @param {Property} property - Volume property to step.
+     * @param {number} target
+     * @param {number} duration - In seconds.
+     */
+    constructor(property, target, duration) {
+        this.property = property;
+        this.target = target;
+        this.duration = duration;
+        this.cancelled = false;
+        /**
+         * Volume last set by the fade, any other reported volume but the target
+         * was a manual change, even when the fade passed it before.
+         *
+         * @type {number}
+         */
+        this.lastVolume = property.value;
+    }
+
+    /**
+     * @returns {Promise<boolean>} If the fade reached its target without being cancelled.
+     */
+    async run() {
+        const start = this.property.value || 0;
+        const steps = Math.max(1, Math.round(this.duration * S_TO_MS / FADE_STEP_INTERVAL));
+        for(let index = 1; index <= steps; ++index) {
+            await wait(FADE_STEP_INTERVAL);
+            if(this.cancelled) {
+                return false;
+            }
+            const volume = this.round(start + ((this.target - start) * index / steps));
+            if(volume !== this.property.value) {
+                this.lastVolume = volume;
+                await this.property.setValue(volume);
+            }
+        }
+        return !this.cancelled;
+    }
+
+    /**
+     * @param {number} volume
+     * @returns {number} The volume in the steps the device supports.
+     */
+    round(volume) {
+        const step = this.property.multipleOf || 1;
+        return Math.round(volume / step) * step;
+    }
+
+    /**
+     * @param {number} volume - Reported volume.
+     * @returns {boolean}
+     */
+    isOwnVolume(volume) {
+        return volume === this.lastVolume || volume === this.target;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
+/**
+ * Fade the volume of a device, replacing a fade that is still running.
+ *
+ * @param {Device} device
+ * @param {object} input - Input of the fadeVolume action.
+ * @returns {Promise<boolean>} If the fade completed without being cancelled.
+ */
+const fadeVolume = async (device, { volume, duration }) => {
+    if(device.volumeFade) {
+        device.volumeFade.cancel();
+    }
+    const fade = new VolumeFade(device.findProperty('volume'), clampVolume(volume, device.getVolumeLimit()), duration);
+    device.volumeFade = fade;
+    try {
+        return await fade.run();
+    }
+    finally {
+        if(device.volumeFade === fade) {
+            device.volumeFade = undefined;
+        }
+    }
+};
+
+/**
+ * @param {Device} device
+ * @param {string[]} names
+ * @returns {Object<string, any>} Current values of the given properties that are known.
+ */
+const getPropertyValues = (device, names) => {
+    const values = {};
+    for(const name of names) {
+        const property = device.findProperty(name);
+        if(property && property.value !== undefined) {
+            values[name] = property.value;
+        }
+    }
+    return values;
+};
+
+/**
+ * Set the given properties one after the other, skipping the ones that can't be set anymore.
+ *
+ * @param {Device} device
+ * @param {Object<string, any>} values
+ * @param {string[]} names - Properties to restore, in order.
+ */
+const restorePropertyValues = async (device, values, names) => {
+    for(const name of names) {
+        const property = device.findProperty(name);
+        if(!values.hasOwnProperty(name) || !property || property.value === values[name]) {
+            continue;
+        }
+        try {
+            await property.setValue(values[name]);
+        }
+        catch(error) {
+            console.warn(`Could not restore ${name} of ${device.title}`, error);
+        }
+    }
+};
+
+/**
+ * Switch a device on and wait for it to start up, or switch it off.
+ *
+ * @param {Device} device
+ * @param {boolean} [on]
+ * @returns {Promise<boolean>} If the device is on and its other settings should be restored.
+ */
+const restorePower = async (device, on) => {
+    const property = device.findProperty('on');
+    if(on === false) {
+        await property.setValue(false);
+        return false;
+    }
+    if(!property.value) {
+        await property.setValue(true);
+        await wait(POWER_ON_DELAY);
+    }
+    return true;
+};
+
+/**
+ * Named snapshots of device settings, kept in a file so they survive restarts.
+ */
+class SnapshotStore {
+    /**
+     * @param {string} [file] - JSON file to keep the snapshots in, only kept in memory without.
+     */
+    constructor(file) {
+        this.file = file;
+        /**
+         * Snapshots by name by device ID.
+         *
+         * @type {Promise<Object<string, Object<string, object>>>}
+         */
+        this.snapshots = this.load();
+        this.written = Promise.resolve();
+    }
+
+    async load() {
+        if(!this.file) {
+            return {};
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        }
+        catch(error) {
+            if(error.code !== 'ENOENT') {
+                console.warn('Could not load snapshots', error);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * @param {string} deviceId
+     * @param {string} name
+     * @returns {Promise<object|undefined>}
+     */
+    async get(deviceId, name) {
+        const snapshots = await this.snapshots;
+        if(snapshots.hasOwnProperty(deviceId) && snapshots[deviceId].hasOwnProperty(name)) {
+            return snapshots[deviceId][name];
+        }
+    }
+
+    /**
+     * @param {string} deviceId
+     * @param {string} name
+     * @param {object} snapshot
+     */
+    async set(deviceId, name, snapshot) {
+        const snapshots = await this.snapshots;
+        if(!snapshots.hasOwnProperty(deviceId)) {
+            snapshots[deviceId] = {};
+        }
+        snapshots[deviceId][name] = snapshot;
+        if(!this.file) {
+            return;
+        }
+        // Write one after the other, so an older state can't overwrite a newer one
+        this.written = this.written.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(this.file, JSON.stringify(snapshots, null, 4));
+        });
+        await this.written;
+    }
+}
+
+class ArtworkCache {
+    /**
+     * @param {string} directory - Directory to store the converted artwork in.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        /**
+         * Remote URL to promise for the converted file, least recently used first.
+         *
+         * @type {Map<string, Promise<string>>}
+         */
+        this.entries = new Map();
+        this.cleared = Promise.resolve();
+    }
+
+    /**
+     * Remove all cached files. Conversions started meanwhile wait for it.
+     *
+     * @returns {Promise}
+     */
+    clear() {
+        this.entries.clear();
+        this.cleared = fs.promises.readdir(this.directory)
+            .catch(() => [])
+            .then((files) => Promise.all(files.map((file) => fs.promises.unlink(path.join(this.directory, file)))));
+        return this.cleared;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise<string>} Path to a PNG version of the artwork.
+     */
+    get(url) {
+        let entry = this.entries.get(url);
+        if(entry) {
+            this.entries.delete(url);
+        }
+        else {
+            entry = this.convert(url);
+            entry.catch(() => {
+                if(this.entries.get(url) === entry) {
+                    this.entries.delete(url);
+                }
+            });
+        }
+        this.entries.set(url, entry);
+        this.evict();
+        return entry;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    async convert(url) {
+        await this.cleared.catch(() => {});
+        const response = await fetch(url, { timeout: ART_TIMEOUT });
+        if(!response.ok) {
+            throw new Error(`Could not load artwork ${url}: ${response.status}`);
+        }
+        const image = await Jimp.read(await response.buffer());
+        if(image.getWidth() > ART_SIZE || image.getHeight() > ART_SIZE) {
+            image.scaleToFit(ART_SIZE, ART_SIZE);
+        }
+        const file = path.join(this.directory, `${crypto.createHash('sha1').update(url).digest('hex')}.png`);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await image.writeAsync(file);
+        return file;
+    }
+
+    evict() {
+        for(const [ url, entry ] of this.entries) {
+            if(this.entries.size <= ART_CACHE_SIZE) {
+                break;
+            }
+            this.entries.delete(url);
+            entry.then((file) => fs.promises.unlink(file)).catch(() => {});
+        }
+    }
+}
+
+class HEOSBrowser {
+    /**
+     * @param {HEOSDevice} device
+     */
+    constructor(device) {
+        this.device = device;
+        /**
+         * Locations entered so far, the first one is the music source.
+         *
+         * @type {object[]}
+         */
+        this.path = [];
+        this.items = [];
+        this.start = 0;
+        this.count = 0;
+        this.selected = null;
+    }
+
+    get location() {
+        return this.path[this.path.length - 1];
+    }
+
+    /**
+     * @param {object} item - Item from a browse/browse payload.
+     * @returns {boolean} If the item can be browsed into.
+     */
+    static isBrowsable(item) {
+        return item.container === 'yes' || !item.mid;
+    }
+
+    /**
+     * @param {object} item - Browsable item.
+     * @returns {object} Location to browse.
+     */
+    static getLocation(item) {
+        return {
+            name: item.name,
+            sid: item.sid,
+            cid: item.cid,
+            playable: item.playable === 'yes'
+        };
+    }
+
+    /**
+     * @param {object} location
+     * @param {number} start
+     * @returns {Promise<{ items: object[], count: number }>}
+     */
+    async fetchPage(location, start) {
+        const options = {
+            sid: location.sid,
+            range: `${start},${start + BROWSE_PAGE_SIZE - 1}`
+        };
+        if(location.cid) {
+            options.cid = encodeHeosAttribute(`${location.cid}`);
+        }
+        const message = await this.device.adapter.makeHeosRequest('browse', 'browse', options, this.device);
+        const items = (message.payload || []).map((item) => Object.assign({
+            sid: location.sid,
+            parentCid: location.cid
+        }, item));
+        const parsed = message.heos.message.parsed || {};
+        return {
+            items,
+            count: Number.parseInt(parsed.count) || start + items.length
+        };
+    }
+
+    /**
+     * @param {object} location
+     * @param {string} name
+     * @returns {Promise<object>} Item with the given name in the location.
+     */
+    async findItem(location, name) {
+        let start = 0;
+        let count;
+        do {
+            const page = await this.fetchPage(location, start);
+            const item = page.items.find((item) => item.name === name);
+            if(item) {
+                return item;
+            }
+            if(page.items.length === 0) {
+                break;
+            }
+            start += page.items.length;
+            count = page.count;
+        } while(start < count);
+        throw new Error(`Could not find ${name} in ${location.name}`);
+    }
+
+    /**
+     * @param {number} [start=0]
+     */
+    async show(start = 0) {
+        const page = await this.fetchPage(this.location, start);
+        this.items = page.items;
+        this.start = start;
+        this.count = page.count;
+        this.updateProperties();
+    }
+
+    updateProperties() {
+        let locationName = this.path.map((location) => location.name).join(' / ');
+        if(this.path.length && this.count > this.items.length) {
+            locationName += ` (${this.start + 1}-${this.start + this.items.length} of ${this.count})`;
+        }
+        this.device.findProperty('browseLocation').setCachedValueAndNotify(locationName);
+        const itemProperty = this.device.findProperty('browseItem');
+        const names = this.items.map((item) => item.name);
+        if(names.join('\n') !== itemProperty.enum.join('\n')) {
+            itemProperty.enum = names;
+            this.device.propertiesChanged = true;
+        }
+        this.device.announceProperties();
+        itemProperty.setCachedValueAndNotify(this.selected ? this.selected.name : '');
+    }
+
+    /**
+     * @param {string} name - Name of a music source from sourceInfo.
+     * @returns {object} Location of the source.
+     */
+    getSource(name) {
+        const source = this.device.adapter.sourceInfo.find((source) => source.name === name);
+        if(!source) {
+            throw new Error(`Unknown source ${name}`);
+        }
+        return {
+            name: source.name,
+            sid: source.sid
+        };
+    }
+
+    async openSource(name) {
+        this.path = [ this.getSource(name) ];
+        this.selected = null;
+        await this.show();
+    }
+
+    async back() {
+        this.selected = null;
+        if(this.path.length > 1) {
+            this.path.pop();
+            await this.show();
+        }
+        else {
+            this.path = [];
+            this.items = [];
+            this.start = 0;
+            this.count = 0;
+            this.updateProperties();
+        }
+    }
+
+    async nextPage() {
+        if(this.path.length && this.start + this.items.length < this.count) {
+            await this.show(this.start + BROWSE_PAGE_SIZE);
+        }
+    }
+
+    async previousPage() {
+        if(this.path.length && this.start > 0) {
+            await this.show(Math.max(0, this.start - BROWSE_PAGE_SIZE));
+        }
+    }
+
+    /**
+     * Enter a browsable item or select a media item on the current page.
+     *
+     * @param {string} name
+     */
+    async select(name) {
+        const item = this.items.find((item) => item.name === name);
+        if(!item) {
+            throw new Error(`Unknown item ${name}`);
+        }
+        if(HEOSBrowser.isBrowsable(item)) {
+            this.path.push(HEOSBrowser.getLocation(item));
+            this.selected = null;
+            await this.show();
+        }
+        else {
+            this.selected = item;
+            this.updateProperties();
+        }
+    }
+
+    /**
+     * @param {string} path - Names separated by "/", starting with the music source.
+     * @returns {Promise<object>} Item or location at the end of the path.
+     */
+    async resolvePath(path) {
+        const [ sourceName, ...names ] = path.split('/').map((name) => name.trim()).filter((name) => name.length);
+        if(!sourceName) {
+            throw new Error('Empty browse path');
+        }
+        let location = this.getSource(sourceName);
+        for(const [ index, name ] of names.entries()) {
+            const item = await this.findItem(location, name);
+            if(index === names.length - 1 && !HEOSBrowser.isBrowsable(item)) {
+                return item;
+            }
+            location = HEOSBrowser.getLocation(item);
+        }
+        return location;
+    }
+
+    /**
+     * @param {object} target - Media item or location to play.
+     * @param {string} mode - Key of ADD_CRITERIA.
+     */
+    async play(target, mode = 'Play Now') {
+        const adapter = this.device.adapter;
+        const pid = this.device.heosPlayer.pid;
+        if(target.mid && target.type === 'station') {
+            const options = {
+                pid,
+                sid: target.sid,
+                mid: encodeHeosAttribute(`${target.mid}`),
+                name: encodeHeosAttribute(target.name)
+            };
+            if(target.parentCid) {
+                options.cid = encodeHeosAttribute(`${target.parentCid}`);
+            }
+            await adapter.makeHeosRequest('browse', 'play_stream', options, this.device);
+            return;
+        }
+        if(!ADD_CRITERIA.hasOwnProperty(mode)) {
+            throw new Error(`Unknown add criteria ${mode}`);
+        }
+        const options = {
+            pid,
+            sid: target.sid
+        };
+        if(target.mid) {
+            if(target.parentCid) {
+                options.cid = encodeHeosAttribute(`${target.parentCid}`);
+            }
+            options.mid = encodeHeosAttribute(`${target.mid}`);
+        }
+        else if(target.cid && target.playable !== false) {
+            options.cid = encodeHeosAttribute(`${target.cid}`);
+        }
+        else {
+            throw new Error(`${target.name} can not be played`);
+        }
+        options.aid = ADD_CRITERIA[mode];
+        await adapter.makeHeosRequest('browse', 'add_to_queue', options, this.device);
+    }
+
+    /**
+     * Play the selected media item or else the current container.
+     *
+     * @param {string} mode - Key of ADD_CRITERIA.
+     */
+    async playCurrent(mode) {
+        const target = this.selected || this.location;
+        if(!target) {
+            throw new Error('Nothing to play');
+        }
+        await this.play(target, mode);
+    }
+}
+
 class HEOSDevice extends Device {
     /**
      * @param {Adapter} adapter
@@ -154,6 +931,26 @@ class HEOSDevice extends Device {
          */
         this.sourceType = null;
         this.availablePlaybackOptions = [];
+        /**
+         * Action names generated from availablePlaybackOptions to their option.
+         *
+         * @type {Map<string, object>}
+         */
+        this.playbackOptionActions = new Map();
+        this.nowPlaying = null;
+        /**
+         * @type {object|null}
+         */
+        this.group = null;
+        /**
+         * @type {object[]}
+         */
+        this.queue = [];
+        /**
+         * @type {{ position: number, duration: number, timestamp: number }|null}
+         */
+        this.progress = null;
+        this.browser = new HEOSBrowser(this);
         this.ready = Promise.resolve();
         this.buildSchema();
         this.updateState();
@@ -205,6 +1002,9 @@ class HEOSDevice extends Device {
         this.addAction('stop', {
             title: 'Stop'
         });
+        this.addAction('fadeVolume', HEOSDevice.getFadeVolumeAction(100, 'Stop When Done'));
+        this.addAction('saveSnapshot', HEOSDevice.getSnapshotAction('Save Snapshot'));
+        this.addAction('restoreSnapshot', HEOSDevice.getSnapshotAction('Restore Snapshot'));
 
         this.addProperty(new HEOSProperty(this, 'title', {
             title: 'Title',
@@ -226,18 +1026,22 @@ class HEOSDevice extends Device {
             type: 'string',
             readOnly: true
         }));
-        // this.addProperty(new HEOSProperty(this, 'albumArt', {
-        //     title: 'Album Art',
-        //     type: 'null',
-        //     links: [
-        //         {
-        //             mediaType: 'image/png',
-        //             href: '',
-        //             rel: 'alternate'
-        //         }
-        //     ],
-        //     readOnly: true
-        // }));
+        // The gateway only serves media of add-ons from its media directory
+        if(this.adapter.artworkCache) {
+            this.addProperty(new HEOSProperty(this, 'albumArt', {
+                title: 'Album Art',
+                type: 'null',
+                '@type': 'ImageProperty',
+                links: [
+                    {
+                        mediaType: 'image/png',
+                        href: `/media/${manifest.id}/${this.id}/${ART_FILE}`,
+                        rel: 'alternate'
+                    }
+                ],
+                readOnly: true
+            }));
+        }
         this.addProperty(new HEOSProperty(this, 'source', {
             title: 'Source',
             type: 'string',
@@ -306,18 +1110,182 @@ class HEOSDevice extends Device {
             }
         });
 
-        //TODO duration & position properties
-
-        //TODO action to add currently playing media to favorites
-        //TODO action thumbs up
-        //TODO action thumbs down
-
-        //TODO group controls
-        //TODO queue controls
-        //TODO browse stuff?
-
-        // Only available on connected device -> so only for local network devices
-        // this.addAction('reboot', {
+        this.addProperty(new HEOSProperty(this, 'duration', {
+            title: 'Duration',
+            type: 'integer',
+            minimum: 0,
+            unit: 's',
+            readOnly: true
+        }));
+        this.addProperty(new HEOSProperty(this, 'position', {
+            title: 'Position',
+            type: 'integer',
+            minimum: 0,
+            unit: 's',
+            readOnly: true
+        }));
+        this.addProperty(new HEOSProperty(this, 'progressPercent', {
+            title: 'Progress',
+            type: 'number',
+            minimum: 0,
+            maximum: 100,
+            multipleOf: 0.1,
+            unit: 'percent',
+            '@type': 'LevelProperty',
+            readOnly: true
+        }));
+
+        this.addProperty(new HEOSProperty(this, 'group', {
+            title: 'Group',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new HEOSProperty(this, 'groupVolume', {
+            title: 'Group Volume',
+            type: 'number',
+            minimum: 0,
+            maximum: 100,
+            multipleOf: 1,
+            '@type': 'LevelProperty'
+        }));
+        this.addProperty(new HEOSProperty(this, 'groupMuted', {
+            title: 'Group Muted',
+            type: 'boolean'
+        }));
+        const otherPlayers = this.adapter.getPlayerNames(this);
+        this.addAction('addGroupMember', {
+            title: 'Add to Group',
+            input: {
+                type: 'string',
+                enum: otherPlayers
+            }
+        });
+        this.addAction('removeGroupMember', {
+            title: 'Remove from Group',
+            input: {
+                type: 'string',
+                enum: otherPlayers
+            }
+        });
+        this.addAction('makeGroupLeader', {
+            title: 'Make Group Leader'
+        });
+        this.addAction('leaveGroup', {
+            title: 'Leave Group'
+        });
+
+        this.addProperty(new HEOSProperty(this, 'queueLength', {
+            title: 'Queue Length',
+            type: 'integer',
+            minimum: 0,
+            readOnly: true
+        }));
+        this.addProperty(new HEOSProperty(this, 'queuePosition', {
+            title: 'Queue Position',
+            type: 'integer',
+            minimum: 0,
+            readOnly: true
+        }));
+        this.addAction('playQueueItem', {
+            title: 'Play Queue Item',
+            input: {
+                type: 'integer',
+                minimum: 1
+            }
+        });
+        this.addAction('removeQueueItem', {
+            title: 'Remove Queue Item',
+            input: {
+                type: 'integer',
+                minimum: 1
+            }
+        });
+        this.addAction('moveQueueItem', {
+            title: 'Move Queue Item',
+            input: {
+                type: 'object',
+                properties: {
+                    from: {
+                        type: 'integer',
+                        minimum: 1
+                    },
+                    to: {
+                        type: 'integer',
+                        minimum: 1
+                    }
+                },
+                required: [
+                    'from',
+                    'to'
+                ]
+            }
+        });
+        this.addAction('clearQueue', {
+            title: 'Clear Queue'
+        });
+        this.addAction('saveQueue', {
+            title: 'Save Queue as Playlist',
+            input: {
+                type: 'string'
+            }
+        });
+        this.addProperty(new HEOSProperty(this, 'browseLocation', {
+            title: 'Browse Location',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new HEOSProperty(this, 'browseItem', {
+            title: 'Browse Item',
+            description: 'Selecting a container opens it',
+            type: 'string',
+            enum: []
+        }));
+        this.addAction('browseSource', {
+            title: 'Browse Source',
+            input: {
+                type: 'string',
+                enum: this.adapter.sourceInfo.map((source) => source.name)
+            }
+        });
+        this.addAction('browseBack', {
+            title: 'Browse Back'
+        });
+        this.addAction('browseNextPage', {
+            title: 'Browse Next Page'
+        });
+        this.addAction('browsePreviousPage', {
+            title: 'Browse Previous Page'
+        });
+        this.addAction('playBrowseItem', {
+            title: 'Play Browse Item',
+            description: 'Play the selected item or the current container',
+            input: {
+                type: 'string',
+                enum: Object.keys(ADD_CRITERIA)
+            }
+        });
+        this.addAction('playBrowsePath', {
+            title: 'Play Browse Path',
+            description: 'Play an item by its path, like "Local Music/Server/Music/Albums/Album"',
+            input: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string'
+                    },
+                    mode: {
+                        type: 'string',
+                        enum: Object.keys(ADD_CRITERIA)
+                    }
+                },
+                required: [
+                    'path'
+                ]
+            }
+        });
+
+        // Only available on connected device -> so only for local network devices
+        // this.addAction('reboot', {
         //     title: 'Reboot'
         // });
 
@@ -325,12 +1293,27 @@ class HEOSDevice extends Device {
             title: 'Playback Errro',
             type: 'string'
         });
+        this.addEvent('signInError', {
+            title: 'HEOS Account Sign In Error',
+            type: 'string'
+        });
         this.addEvent('progress', {
             title: 'Progress',
             type: 'number',
             minimum: 0,
             unit: 'ms'
         });
+        this.addEvent('volumeLimitExceeded', {
+            title: 'Volume Limit Exceeded',
+            type: 'number'
+        });
+    }
+
+    /**
+     * @returns {number|undefined} Highest volume currently allowed.
+     */
+    getVolumeLimit() {
+        return this.adapter.getVolumeLimit(this);
     }
 
     async updateState() {
@@ -370,6 +1353,17 @@ class HEOSDevice extends Device {
         this.adapter.heosConnection.write('player', 'get_now_playing_media', {
             pid: this.heosPlayer.pid
         });
+        this.requestQueue();
+    }
+
+    /**
+     * @param {number} [start=0] - Index of the first queue item to fetch.
+     */
+    requestQueue(start = 0) {
+        this.adapter.heosConnection.write('player', 'get_queue', {
+            pid: this.heosPlayer.pid,
+            range: `${start},${start + QUEUE_PAGE_SIZE - 1}`
+        });
     }
 
     handleHeosEvent(message) {
@@ -380,13 +1374,27 @@ class HEOSDevice extends Device {
                 this.findProperty('playing').setCachedValueAndNotify(payload.state === 'play');
                 if(payload.state === 'stop') {
                     this.sourceType = null;
-                    this.availablePlaybackOptions = [];
+                    this.nowPlaying = null;
+                    this.updatePlaybackOptions([]);
+                    this.stopProgressTimer();
+                    this.resetProgress();
+                }
+                else if(payload.state === 'play') {
+                    this.startProgressTimer();
+                }
+                else {
+                    this.stopProgressTimer();
                 }
                 break;
             case 'player/get_now_playing_media':
             case 'event/player_now_playing_changed':
                 if (!message.payload) {
-                    //TOOD make request
+                    if(message.heos.command.commandGroup === 'event') {
+                        // Change events don't include the media
+                        this.adapter.heosConnection.write('player', 'get_now_playing_media', {
+                            pid: this.heosPlayer.pid
+                        });
+                    }
                     break;
                 }
                 const localSource = this.adapter.sourceInfo.find((source) => source.sid == message.payload.sid)
@@ -402,17 +1410,25 @@ class HEOSDevice extends Device {
                 this.findProperty('title').setCachedValueAndNotify(message.payload.song);
                 this.findProperty('album').setCachedValueAndNotify(message.payload.album);
                 this.findProperty('artist').setCachedValueAndNotify(message.payload.artist);
-                // this.findProperty('albumArt').links[0].href = message.payload.image_url;
+                const artUrl = message.payload.image_url || (localSource && localSource.image_url);
+                this.updateAlbumArt(artUrl);
                 if(!this.overrideStation) {
                     this.findProperty('station').setCachedValueAndNotify(message.payload.station || '');
                 }
+                this.findProperty('queuePosition').setCachedValueAndNotify(Number.parseInt(message.payload.qid) || 0);
+                if(this.sourceType !== message.payload.type) {
+                    this.resetProgress();
+                }
                 this.sourceType = message.payload.type;
-                this.availablePlaybackOptions = message.options;
+                this.nowPlaying = message.payload;
+                this.updatePlaybackOptions(message.options);
                 break;
             case 'player/get_volume':
             case 'event/player_volume_changed':
                 if(!this.replacedProperties.includes('volume')) {
-                    this.findProperty('volume').setCachedValueAndNotify(Number.parseFloat(payload.level));
+                    const volume = Number.parseFloat(payload.level);
+                    this.findProperty('volume').setCachedValueAndNotify(volume);
+                    this.adapter.handleVolumeReport(this, volume);
                 }
                 if(message.heos.command.commandGroup === 'event' && !this.replacedProperties.includes('muted')) {
                     this.findProperty('muted').setCachedValueAndNotify(payload.mute === 'on');
@@ -434,8 +1450,28 @@ class HEOSDevice extends Device {
             case 'event/shuffle_mode_changed':
                 this.findProperty('shuffle').setCachedValueAndNotify(payload.shuffle === 'on');
                 break;
+            case 'player/get_queue':
+                const [ queueStart ] = `${payload.range || 0}`.split(',').map((index) => Number.parseInt(index));
+                const queueItems = message.payload || [];
+                this.queue = this.queue.slice(0, queueStart).concat(queueItems);
+                if(queueItems.length === QUEUE_PAGE_SIZE) {
+                    this.requestQueue(queueStart + QUEUE_PAGE_SIZE);
+                }
+                else {
+                    this.findProperty('queueLength').setCachedValueAndNotify(this.queue.length);
+                }
+                break;
+            case 'event/player_queue_changed':
+                this.requestQueue();
+                break;
             case 'event/player_now_playing_progress':
                 this.eventNotify(new Event(this, 'progress', Number.parseInt(payload.cur_pos)));
+                this.progress = {
+                    position: Number.parseInt(payload.cur_pos) || 0,
+                    duration: Number.parseInt(payload.duration) || 0,
+                    timestamp: Date.now()
+                };
+                this.updateProgressProperties(this.progress.position);
                 break;
             case 'event/player_playback_error':
                 this.eventNotify(new Event(this, 'playbackError', payload.error));
@@ -443,12 +1479,310 @@ class HEOSDevice extends Device {
         }
     }
 
+    /**
+     * @returns {number} Position in ms, extrapolated from the last update while playing.
+     */
+    getInterpolatedPosition() {
+        if(!this.progress) {
+            return 0;
+        }
+        let position = this.progress.position;
+        if(this.progressTimer) {
+            position += Date.now() - this.progress.timestamp;
+        }
+        if(this.progress.duration) {
+            position = Math.min(position, this.progress.duration);
+        }
+        return position;
+    }
+
+    /**
+     * @param {number} position - Position in ms.
+     */
+    updateProgressProperties(position) {
+        const duration = this.progress ? this.progress.duration : 0;
+        this.findProperty('duration').setCachedValueAndNotify(Math.round(duration / S_TO_MS));
+        this.findProperty('position').setCachedValueAndNotify(Math.round(position / S_TO_MS));
+        const percent = duration ? Math.round(position / duration * 1000) / 10 : 0;
+        this.findProperty('progressPercent').setCachedValueAndNotify(percent);
+    }
+
+    startProgressTimer() {
+        if(this.progressTimer) {
+            return;
+        }
+        if(this.progress) {
+            // Position was frozen while paused, continue from there
+            this.progress.timestamp = Date.now();
+        }
+        this.progressTimer = setInterval(() => {
+            if(this.progress) {
+                this.updateProgressProperties(this.getInterpolatedPosition());
+            }
+        }, PROGRESS_INTERVAL);
+    }
+
+    stopProgressTimer() {
+        if(!this.progressTimer) {
+            return;
+        }
+        if(this.progress) {
+            this.progress.position = this.getInterpolatedPosition();
+            this.progress.timestamp = Date.now();
+        }
+        clearInterval(this.progressTimer);
+        this.progressTimer = undefined;
+    }
+
+    resetProgress() {
+        this.progress = null;
+        this.updateProgressProperties(0);
+    }
+
+    /**
+     * Replace the album art image served for this device. Failures are logged
+     * and the art is loaded again with the next update.
+     *
+     * @param {string} [url] - Remote artwork URL.
+     */
+    async updateAlbumArt(url) {
+        if(url === this.albumArtUrl || !this.adapter.artworkCache) {
+            return;
+        }
+        this.albumArtUrl = url;
+        const target = path.join(this.adapter.mediaDir, this.id, ART_FILE);
+        if(!url) {
+            await fs.promises.unlink(target).catch(() => {});
+            return;
+        }
+        try {
+            const file = await this.adapter.artworkCache.get(url);
+            if(this.albumArtUrl !== url) {
+                // Track changed while the art was loading
+                return;
+            }
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(file, target);
+        }
+        catch(error) {
+            console.warn('error updating album art', error.message);
+            if(this.albumArtUrl === url) {
+                this.albumArtUrl = undefined;
+            }
+        }
+    }
+
+    /**
+     * @param {object|null} group - Group from group/get_groups this player is part of.
+     */
+    updateGroup(group) {
+        this.group = group;
+        this.findProperty('group').setCachedValueAndNotify(group ? group.name : '');
+    }
+
+    /**
+     * @param {object} payload - Parsed message of group/get_volume, group/get_mute or event/group_volume_changed.
+     */
+    updateGroupVolume(payload) {
+        if(payload.hasOwnProperty('level')) {
+            this.findProperty('groupVolume').setCachedValueAndNotify(Number.parseFloat(payload.level));
+        }
+        if(payload.hasOwnProperty('mute') || payload.hasOwnProperty('state')) {
+            this.findProperty('groupMuted').setCachedValueAndNotify((payload.mute || payload.state) === 'on');
+        }
+    }
+
+    /**
+     * @returns {number[]} PIDs of the group this player is in, leader first.
+     */
+    getGroupPids() {
+        if(!this.group) {
+            return [ this.heosPlayer.pid ];
+        }
+        const leader = this.group.players.find((player) => player.role === 'leader');
+        const members = this.group.players.filter((player) => player.role !== 'leader');
+        return [ leader, ...members ].map((player) => player.pid);
+    }
+
+    /**
+     * @param {number[]} pids - PIDs of the group, leader first. Just the leader deletes the group.
+     */
+    async setGroup(pids) {
+        await this.adapter.makeHeosRequest('group', 'set_group', {
+            pid: pids.join(',')
+        }, this);
+    }
+
+    /**
+     * Make this player the leader of its group. Reordering the players of a
+     * group doesn't always move the leadership, then the group is rebuilt.
+     */
+    async makeGroupLeader() {
+        if(!this.group) {
+            return;
+        }
+        const [ leader, ...members ] = this.getGroupPids();
+        const pids = [ this.heosPlayer.pid, ...[ leader, ...members ].filter((pid) => pid != this.heosPlayer.pid) ];
+        await this.setGroup(pids);
+        if(await this.isGroupLeader()) {
+            return;
+        }
+        await this.setGroup([ leader ]);
+        await this.setGroup(pids);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether HEOS reports this player as the leader of a group.
+     */
+    async isGroupLeader() {
+        try {
+            // Groups are identified by the pid of their leader
+            const message = await this.adapter.makeHeosRequest('group', 'get_group_info', {
+                gid: this.heosPlayer.pid
+            }, this);
+            return message.payload.players.some((player) => player.pid == this.heosPlayer.pid && player.role === 'leader');
+        }
+        catch(error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {number} pid - Player to remove from the group of this player.
+     */
+    async removeFromGroup(pid) {
+        const [ leader, ...members ] = this.getGroupPids();
+        const remaining = members.filter((memberPid) => memberPid != pid);
+        if(!this.group || (leader != pid && remaining.length === members.length)) {
+            return;
+        }
+        if(leader == pid && remaining.length > 1) {
+            // First remaining member becomes the new leader
+            await this.setGroup(remaining);
+        }
+        else if(leader == pid || remaining.length === 0) {
+            await this.setGroup([ leader ]);
+        }
+        else {
+            await this.setGroup([ leader, ...remaining ]);
+        }
+    }
+
+    /**
+     * Replace the actions for service options with the ones available for the
+     * current media.
+     *
+     * @param {object[]} [options] - Options from get_now_playing_media.
+     */
+    updatePlaybackOptions(options) {
+        this.availablePlaybackOptions = (options || []).reduce((all, group) => all.concat(...Object.values(group)), []);
+        const actions = new Map();
+        for(const option of this.availablePlaybackOptions) {
+            const known = SERVICE_OPTIONS[option.id];
+            const metadata = known || {
+                name: `serviceOption${option.id}`,
+                title: option.name
+            };
+            actions.set(metadata.name, Object.assign({ id: Number.parseInt(option.id) }, metadata));
+        }
+        const oldNames = Array.from(this.playbackOptionActions.keys());
+        const newNames = Array.from(actions.keys());
+        if(oldNames.length === newNames.length && oldNames.every((name) => actions.has(name))) {
+            return;
+        }
+        for(const name of oldNames) {
+            this.actions.delete(name);
+        }
+        for(const [ name, option ] of actions) {
+            const metadata = {
+                title: option.title
+            };
+            if(option.input) {
+                metadata.input = option.input;
+            }
+            this.addAction(name, metadata);
+        }
+        this.playbackOptionActions = actions;
+        this.adapter.announceDevice(this);
+    }
+
+    /**
+     * Add a property the model turned out to support. Call announceProperties
+     * once all are added.
+     *
+     * @param {Property} property
+     */
+    addDynamicProperty(property) {
+        this.addProperty(property);
+        this.propertiesChanged = true;
+    }
+
+    announceProperties() {
+        if(this.propertiesChanged) {
+            this.adapter.announceDevice(this);
+        }
+        this.propertiesChanged = false;
+    }
+
+    /**
+     * @param {object} option - Entry of playbackOptionActions.
+     * @param {string} [input] - Action input, the name for new stations.
+     */
+    async setServiceOption(option, input) {
+        const media = this.nowPlaying || {};
+        const options = {
+            option: option.id
+        };
+        switch(option.id) {
+            case 1:
+            case 3:
+                options.sid = media.sid;
+                options.mid = encodeHeosAttribute(`${media.mid}`);
+                break;
+            case 2:
+                options.sid = media.sid;
+                options.cid = encodeHeosAttribute(`${media.album_id}`);
+                break;
+            case 13:
+                options.sid = media.sid;
+                options.name = encodeHeosAttribute(`${input || media.song || media.station}`);
+                break;
+            case 19:
+                options.pid = this.heosPlayer.pid;
+                break;
+            default:
+                options.sid = media.sid;
+                options.pid = this.heosPlayer.pid;
+        }
+        await this.adapter.makeHeosRequest('browse', 'set_service_option', options, this);
+    }
+
     /**
      *
      * @param {Action} action
      */
     async performAction(action) {
+        if(this.playbackOptionActions.has(action.name)) {
+            return this.setServiceOption(this.playbackOptionActions.get(action.name), action.input);
+        }
         switch(action.name) {
+            case 'addGroupMember':
+                const newMember = this.adapter.getPlayerByName(action.input);
+                const groupPids = this.getGroupPids();
+                if(!groupPids.includes(newMember.heosPlayer.pid)) {
+                    await this.setGroup([ ...groupPids, newMember.heosPlayer.pid ]);
+                }
+                break;
+            case 'removeGroupMember':
+                const removedMember = this.adapter.getPlayerByName(action.input);
+                await this.removeFromGroup(removedMember.heosPlayer.pid);
+                break;
+            case 'makeGroupLeader':
+                await this.makeGroupLeader();
+                break;
+            case 'leaveGroup':
+                await this.removeFromGroup(this.heosPlayer.pid);
+                break;
             case 'next':
                 await this.adapter.makeHeosRequest('player', 'play_next', {
                     pid: this.heosPlayer.pid
@@ -482,18 +1816,198 @@ class HEOSDevice extends Device {
                     preset: action.input
                 }, this);
                 break;
+            case 'playQueueItem':
+                await this.adapter.makeHeosRequest('player', 'play_queue', {
+                    pid: this.heosPlayer.pid,
+                    qid: action.input
+                }, this);
+                break;
+            case 'removeQueueItem':
+                await this.adapter.makeHeosRequest('player', 'remove_from_queue', {
+                    pid: this.heosPlayer.pid,
+                    qid: action.input
+                }, this);
+                break;
+            case 'moveQueueItem':
+                await this.adapter.makeHeosRequest('player', 'move_queue_item', {
+                    pid: this.heosPlayer.pid,
+                    sqid: action.input.from,
+                    dqid: action.input.to
+                }, this);
+                break;
+            case 'clearQueue':
+                await this.adapter.makeHeosRequest('player', 'clear_queue', {
+                    pid: this.heosPlayer.pid
+                }, this);
+                break;
+            case 'saveQueue':
+                await this.adapter.makeHeosRequest('player', 'save_queue', {
+                    pid: this.heosPlayer.pid,
+                    name: encodeHeosAttribute(action.input)
+                }, this);
+                break;
+            case 'browseSource':
+                await this.browser.openSource(action.input);
+                break;
+            case 'browseBack':
+                await this.browser.back();
+                break;
+            case 'browseNextPage':
+                await this.browser.nextPage();
+                break;
+            case 'browsePreviousPage':
+                await this.browser.previousPage();
+                break;
+            case 'playBrowseItem':
+                await this.browser.playCurrent(action.input);
+                break;
+            case 'playBrowsePath':
+                const browseTarget = await this.browser.resolvePath(action.input.path);
+                await this.browser.play(browseTarget, action.input.mode);
+                break;
             case 'playInput':
                 await this.adapter.makeHeosRequest('browse', 'play_input', {
                     pid: this.heosPlayer.pid,
                     input: action.input
                 }, this);
                 break;
+            case 'fadeVolume':
+                if(await fadeVolume(this, action.input) && action.input.turnOff) {
+                    await this.turnOffAfterFade();
+                }
+                break;
+            case 'saveSnapshot':
+                await this.adapter.saveSnapshot(this, action.input);
+                break;
+            case 'restoreSnapshot':
+                await this.adapter.restoreSnapshot(this, action.input);
+                break;
         }
     }
 
+    /**
+     * @param {number} maximum - Maximum volume of the device.
+     * @param {string} turnOffTitle
+     * @returns {object} Description of the fadeVolume action.
+     */
+    static getFadeVolumeAction(maximum, turnOffTitle) {
+        return {
+            title: 'Fade Volume',
+            input: {
+                type: 'object',
+                required: [
+                    'volume',
+                    'duration'
+                ],
+                properties: {
+                    volume: {
+                        title: 'Volume',
+                        type: 'number',
+                        minimum: 0,
+                        maximum
+                    },
+                    duration: {
+                        // No unit, gateway-addon validates inputs in strict mode and rejects unknown keywords
+                        title: 'Duration (seconds)',
+                        type: 'number',
+                        minimum: 0,
+                        maximum: FADE_MAX_DURATION
+                    },
+                    turnOff: {
+                        title: turnOffTitle,
+                        type: 'boolean'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * @param {string} title
+     * @returns {object} Description of an action taking the name of a snapshot.
+     */
+    static getSnapshotAction(title) {
+        return {
+            title,
+            input: {
+                title: 'Name',
+                type: 'string',
+                minLength: 1
+            }
+        };
+    }
+
+    /**
+     * @returns {object} Current settings and media, to return to with applySnapshot.
+     */
+    getSnapshot() {
+        let media;
+        if(this.nowPlaying) {
+            const { sid, mid, qid, type, station } = this.nowPlaying;
+            media = { sid, mid, qid, type, station };
+        }
+        return {
+            properties: getPropertyValues(this, HEOS_SNAPSHOT_LEVELS),
+            media
+        };
+    }
+
+    /**
+     * @param {object} snapshot - From getSnapshot.
+     */
+    async applySnapshot({ properties, media }) {
+        if(media) {
+            await this.restoreMedia(media);
+        }
+        await restorePropertyValues(this, properties, HEOS_SNAPSHOT_LEVELS);
+    }
+
+    /**
+     * Play the input, station or queue item that was playing before.
+     *
+     * @param {object} media - Media of a snapshot.
+     */
+    async restoreMedia({ sid, mid, qid, type, station }) {
+        const pid = this.heosPlayer.pid;
+        if(`${mid}`.startsWith('inputs/')) {
+            await this.adapter.makeHeosRequest('browse', 'play_input', {
+                pid,
+                input: mid
+            }, this);
+        }
+        else if(type === 'station' && mid) {
+            await this.adapter.makeHeosRequest('browse', 'play_stream', {
+                pid,
+                sid,
+                mid: encodeHeosAttribute(`${mid}`),
+                name: encodeHeosAttribute(station || '')
+            }, this);
+        }
+        else if(qid) {
+            await this.adapter.makeHeosRequest('player', 'play_queue', {
+                pid,
+                qid
+            }, this);
+        }
+    }
+
+    /**
+     * Called when a fade with turnOff completed.
+     */
+    async turnOffAfterFade() {
+        await this.adapter.makeHeosRequest('player', 'set_play_state', {
+            pid: this.heosPlayer.pid,
+            state: 'stop'
+        }, this);
+    }
+
     destroy() {
         //TODO remove heosConnection.onAll listener
         this.destroyed = true;
+        this.stopProgressTimer();
+        if(this.volumeFade) {
+            this.volumeFade.cancel();
+        }
     }
 }
 
@@ -501,6 +2015,8 @@ const IR_MAP = {
     status: 'RCSHP0230030',
     btPair: 'RCKSK0410751',
 };
+// The Bluetooth key has to be held to start pairing
+const BT_PAIR_HOLD = 3;
 
 const REMOTE_KEYS = {
     up: 'MNCUP',
@@ -510,14 +2026,534 @@ const REMOTE_KEYS = {
     enter: 'MNENT',
     back: 'MNRTN',
     options: 'MNOPT',
-    info: 'MNINF'
+    info: 'MNINF',
+    setupMenu: 'MNMEN ON',
+    exitSetupMenu: 'MNMEN OFF',
+    osdOn: 'MNOSD ON',
+    osdOff: 'MNOSD OFF',
+    home: 'MNHOM',
+    presetUp: 'TPANUP',
+    presetDown: 'TPANDOWN',
+    // Keys of the network audio (HEOS) sources only, BD and CD players can't be controlled over telnet
+    pageUp: 'NS9Y',
+    pageDown: 'NS9X',
+    play: 'NS9A',
+    pause: 'NS9B',
+    stop: 'NS9C',
+    skipNext: 'NS9D',
+    skipPrevious: 'NS9E',
+    fastForward: 'NS9F',
+    rewind: 'NS9G'
+};
+// A held key is sent again in this interval, like the IR remote does
+const REMOTE_REPEAT_INTERVAL = 250;
+const REMOTE_MAX_HOLD = 10;
+
+// Zones beyond the main zone, created once the AVR answers for them
+const ZONES = {
+    Z2: 'Zone 2',
+    Z3: 'Zone 3'
+};
+
+// Input names the AVR uses until it reports the ones configured by the user
+const INPUTS = {
+    PHONO: 'Phono',
+    CD: 'CD',
+    DVD: 'DVD',
+    BD: 'Blu-ray',
+    TV: 'TV Audio',
+    'SAT/CBL': 'CBL/SAT',
+    MPLAY: 'Media Player',
+    GAME: 'Game',
+    TUNER: 'Tuner',
+    AUX1: 'AUX1',
+    AUX2: 'AUX2',
+    NET: 'HEOS Music', // HEOS -> expand into heos?
+    BT: 'Bluetooth'
 };
+// Zones can follow the input of the main zone
+const ZONE_SOURCE = 'SOURCE';
+const ZONE_SOURCE_NAME = 'Source';
 
 const TOGGLE = {
     TRUE: 'ON',
     FALSE: 'OFF'
 };
 
+const SLEEP_MAX = 120;
+// The AVR doesn't report the countdown of the sleep timer by itself
+const SLEEP_POLL_INTERVAL = 60000;
+const AUTO_STANDBY = {
+    '15M': '15 minutes',
+    '30M': '30 minutes',
+    '60M': '60 minutes',
+    OFF: 'Off'
+};
+const ZONE_AUTO_STANDBY = {
+    '2H': '2 hours',
+    '4H': '4 hours',
+    '8H': '8 hours',
+    OFF: 'Off'
+};
+// Volume limit setting of the AVR itself
+const AVR_VOLUME_LIMITS = {
+    60: '60',
+    70: '70',
+    80: '80',
+    OFF: 'Off'
+};
+const ECO_MODES = {
+    ON: 'On',
+    AUTO: 'Auto',
+    OFF: 'Off'
+};
+
+// Tone levels are sent as 00-99 with 50 as 0dB, the AVR accepts -6 to +6dB
+const TONE_OFFSET = 50;
+const TONE_RANGE = 6;
+// Surround modes that bypass tone control
+const TONE_BYPASS_MODES = [
+    'DIRECT',
+    'PURE DIRECT'
+];
+const TONE_PROPERTIES = [
+    'toneControl',
+    'bass',
+    'treble'
+];
+const MULTEQ_MODES = [
+    'AUDYSSEY',
+    'BYP.LR',
+    'FLAT',
+    'MANUAL',
+    'OFF'
+];
+const DYNAMIC_VOLUME = {
+    OFF: 'Off',
+    LIT: 'Light',
+    MED: 'Medium',
+    HEV: 'Heavy'
+};
+// Channel level codes of the CV command
+const CHANNELS = {
+    FL: 'Front Left',
+    FR: 'Front Right',
+    C: 'Center',
+    SW: 'Subwoofer',
+    SW2: 'Subwoofer 2',
+    SW3: 'Subwoofer 3',
+    SW4: 'Subwoofer 4',
+    SL: 'Surround Left',
+    SR: 'Surround Right',
+    SBL: 'Surround Back Left',
+    SBR: 'Surround Back Right',
+    SB: 'Surround Back',
+    FHL: 'Front Height Left',
+    FHR: 'Front Height Right',
+    FWL: 'Front Wide Left',
+    FWR: 'Front Wide Right',
+    TFL: 'Top Front Left',
+    TFR: 'Top Front Right',
+    TML: 'Top Middle Left',
+    TMR: 'Top Middle Right',
+    TRL: 'Top Rear Left',
+    TRR: 'Top Rear Right',
+    RHL: 'Rear Height Left',
+    RHR: 'Rear Height Right',
+    FDL: 'Front Dolby Left',
+    FDR: 'Front Dolby Right',
+    SDL: 'Surround Dolby Left',
+    SDR: 'Surround Dolby Right',
+    BDL: 'Back Dolby Left',
+    BDR: 'Back Dolby Right',
+    SHL: 'Surround Height Left',
+    SHR: 'Surround Height Right',
+    TS: 'Top Surround',
+    CH: 'Center Height'
+};
+// Channel levels are sent like the volume, with 50 as 0dB
+const CHANNEL_LEVEL_OFFSET = 50;
+const CHANNEL_LEVEL_RANGE = 12;
+const RESOLUTIONS = {
+    '48P': '480p/576p',
+    '10I': '1080i',
+    '72P': '720p',
+    '10P': '1080p',
+    '10P24': '1080p24',
+    '4K': '4K',
+    '4KF': '4K 60/50',
+    '8K': '8K',
+    AUTO: 'Auto'
+};
+// Video settings by property name, only added once the AVR reports them
+const VIDEO_SETTINGS = {
+    videoMode: {
+        title: 'Picture Mode',
+        command: 'PV',
+        query: 'PV?',
+        values: {
+            OFF: 'Off',
+            STD: 'Standard',
+            MOV: 'Movie',
+            VVD: 'Vivid',
+            STM: 'Streaming',
+            CTM: 'Custom',
+            DAY: 'ISF Day',
+            NGT: 'ISF Night'
+        }
+    },
+    // Before videoResolution, as VSSC is a prefix of VSSCH
+    hdmiResolution: {
+        title: 'HDMI Resolution',
+        command: 'VSSCH',
+        query: 'VSSCH ?',
+        values: RESOLUTIONS
+    },
+    videoResolution: {
+        title: 'Resolution',
+        command: 'VSSC',
+        query: 'VSSC ?',
+        values: RESOLUTIONS
+    },
+    aspectRatio: {
+        title: 'Aspect Ratio',
+        command: 'VSASP',
+        query: 'VSASP ?',
+        values: {
+            NRM: '4:3',
+            FUL: '16:9'
+        }
+    },
+    videoOutput: {
+        title: 'HDMI Monitor Out',
+        command: 'VSMONI',
+        query: 'VSMONI ?',
+        values: {
+            AUTO: 'Auto',
+            1: 'HDMI 1',
+            2: 'HDMI 2'
+        }
+    }
+};
+const SURROUND_MODES = [
+    'MOVIE',
+    'MUSIC',
+    'GAME',
+    'DIRECT',
+    'PURE DIRECT',
+    'STEREO',
+    'AUTO',
+    'DOLBY DIGITAL',
+    'DTS SURROUND',
+    'MCH STEREO',
+    'ROCK ARENA',
+    'JAZZ CLUB',
+    'MONO MOVIE',
+    'MATRIX',
+    'VIDEO GAME',
+    'VIRTUAL'
+];
+const AUDIO_SIGNALS = {
+    '01': 'Analog',
+    '02': 'PCM',
+    '03': 'PCM Zero',
+    '04': 'DTS',
+    '05': 'DTS-ES',
+    '06': 'DTS 96/24',
+    '07': 'DTS-HD',
+    '08': 'DTS-HD MSTR',
+    '09': 'DTS:X',
+    '10': 'Dolby Digital',
+    '11': 'Dolby Digital EX',
+    '12': 'Dolby Digital Plus',
+    '13': 'Dolby TrueHD',
+    '14': 'Dolby Atmos',
+    '15': 'Multi Ch In',
+    '16': 'DSD',
+    '17': 'IMAX DTS',
+    '18': 'IMAX DTS:X',
+    '19': 'Auro-3D',
+    '20': 'MPEG-2 AAC',
+    '21': 'MPEG-4 AAC',
+    '22': 'MPEG-H'
+};
+const BASE_SURROUND_MODES = [
+    'MOVIE',
+    'MUSIC',
+    'GAME',
+    'DIRECT',
+    'PURE DIRECT',
+    'STEREO',
+    'AUTO',
+    'MCH STEREO',
+    'VIRTUAL'
+];
+// Sound field simulations, not available for object based formats
+const DSP_SURROUND_MODES = [
+    'ROCK ARENA',
+    'JAZZ CLUB',
+    'MONO MOVIE',
+    'MATRIX',
+    'VIDEO GAME'
+];
+const PCM_SURROUND_MODES = [
+    ...BASE_SURROUND_MODES,
+    ...DSP_SURROUND_MODES
+];
+const DOLBY_SURROUND_MODES = [
+    ...PCM_SURROUND_MODES,
+    'DOLBY DIGITAL'
+];
+const DTS_SURROUND_MODES = [
+    ...PCM_SURROUND_MODES,
+    'DTS SURROUND'
+];
+// Surround modes the AVR accepts by code of AUDIO_SIGNALS, decoder modes need a matching bitstream
+const FORMAT_SURROUND_MODES = {
+    '01': PCM_SURROUND_MODES,
+    '02': PCM_SURROUND_MODES,
+    '03': PCM_SURROUND_MODES,
+    '04': DTS_SURROUND_MODES,
+    '05': DTS_SURROUND_MODES,
+    '06': DTS_SURROUND_MODES,
+    '07': DTS_SURROUND_MODES,
+    '08': DTS_SURROUND_MODES,
+    '09': [
+        ...BASE_SURROUND_MODES,
+        'DTS SURROUND'
+    ],
+    '10': DOLBY_SURROUND_MODES,
+    '11': DOLBY_SURROUND_MODES,
+    '12': DOLBY_SURROUND_MODES,
+    '13': DOLBY_SURROUND_MODES,
+    '14': [
+        ...BASE_SURROUND_MODES,
+        'DOLBY DIGITAL'
+    ],
+    '15': PCM_SURROUND_MODES,
+    '16': PCM_SURROUND_MODES,
+    '17': DTS_SURROUND_MODES,
+    '18': [
+        ...BASE_SURROUND_MODES,
+        'DTS SURROUND'
+    ],
+    '19': BASE_SURROUND_MODES,
+    '20': PCM_SURROUND_MODES,
+    '21': PCM_SURROUND_MODES,
+    '22': BASE_SURROUND_MODES
+};
+const SAMPLE_RATES = {
+    '32K': '32 kHz',
+    '441': '44.1 kHz',
+    '48K': '48 kHz',
+    '882': '88.2 kHz',
+    '96K': '96 kHz',
+    '176': '176.4 kHz',
+    '192K': '192 kHz',
+    NON: ''
+};
+const HDR_FORMATS = {
+    SDR: 'SDR',
+    HDR10: 'HDR10',
+    HDR10PLUS: 'HDR10+',
+    HLG: 'HLG',
+    DV: 'Dolby Vision'
+};
+// Read-only information about the incoming signal by property name, values without a map are shown as reported
+const SIGNAL_INFO = {
+    audioFormat: {
+        title: 'Audio Format',
+        command: 'SSINFAISSIG',
+        values: AUDIO_SIGNALS
+    },
+    sampleRate: {
+        title: 'Sample Rate',
+        command: 'SSINFAISFSV',
+        values: SAMPLE_RATES
+    },
+    audioChannels: {
+        title: 'Audio Channels',
+        command: 'SSINFAISCH'
+    },
+    videoSignal: {
+        title: 'Video Signal',
+        command: 'SSINFSIGRES'
+    },
+    hdrFormat: {
+        title: 'HDR Format',
+        command: 'SSINFSIGHDR',
+        values: HDR_FORMATS
+    }
+};
+const QUICK_SELECT_COUNT = 5;
+const QUICK_SELECT_MEMORY = 'MEMORY';
+const PRESET_COUNT = 56;
+// Models with fewer presets stop listing early, so the list ends after this gap
+const PRESET_IDLE_TIMEOUT = 300;
+const BAND_PATTERN = /^TMAN(AM|FM|DAB)$/;
+const DAB_BAND = 'DAB';
+// Band III channel blocks, the N blocks are only used in some countries
+const DAB_CHANNELS = [ 5, 6, 7, 8, 9, 10, 11, 12, 13 ].flatMap((block) => {
+    let letters = [ 'A', 'B', 'C', 'D' ];
+    if(block >= 10 && block <= 12) {
+        letters = [ ...letters, 'N' ];
+    }
+    else if(block === 13) {
+        letters = [ ...letters, 'E', 'F' ];
+    }
+    return letters.map((letter) => `${block}${letter}`);
+});
+const HD_MULTICAST_CHANNELS = 8;
+
+// The AVR needs a moment to detect the signal of a new input
+const SIGNAL_DETECT_DELAY = 2000;
+const DENON_PORT = 23;
+// Minimum gap between commands from the protocol spec
+const COMMAND_DELAY = 50;
+const RESPONSE_TIMEOUT = 2000;
+
+/**
+ * Line framed connection to the telnet control port of an AVR. Emits "connect",
+ * "close", "error" and a "message" for each received line.
+ */
+class DenonTelnet extends EventEmitter {
+    /**
+     * @param {string} address
+     * @param {number} [port=DENON_PORT]
+     */
+    constructor(address, port = DENON_PORT) {
+        super();
+        this.buffer = '';
+        this.queue = Promise.resolve();
+        this.waiters = [];
+        this.socket = net.createConnection(port, address);
+        this.socket.setEncoding('ascii');
+        this.socket.setKeepAlive(true, KEEPALIVE_DELAY);
+        this.socket.on('connect', () => this.emit('connect'));
+        this.socket.on('data', (data) => this.handleData(data));
+        this.socket.on('error', (error) => this.emit('error', error));
+        this.socket.on('close', () => {
+            this.rejectWaiters(new Error('Connection closed'));
+            this.emit('close');
+        });
+    }
+
+    /**
+     * @param {string} data
+     */
+    handleData(data) {
+        this.buffer += data;
+        const lines = this.buffer.split('\r');
+        // Last entry is an incomplete line or empty
+        this.buffer = lines.pop();
+        for(const line of lines) {
+            if(line) {
+                this.emit('message', line);
+                this.resolveWaiters(line);
+            }
+        }
+    }
+
+    /**
+     * @param {string} line
+     */
+    resolveWaiters(line) {
+        for(const waiter of this.waiters.slice()) {
+            if(typeof waiter.prefix === 'string' ? line.startsWith(waiter.prefix) : waiter.prefix.test(line)) {
+                this.removeWaiter(waiter);
+                waiter.resolve(line);
+            }
+        }
+    }
+
+    /**
+     * @param {Error} error
+     */
+    rejectWaiters(error) {
+        for(const waiter of this.waiters.slice()) {
+            this.removeWaiter(waiter);
+            waiter.reject(error);
+        }
+    }
+
+    removeWaiter(waiter) {
+        clearTimeout(waiter.timeout);
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+    }
+
+    /**
+     * @param {string|RegExp} prefix - Start of the line to wait for.
+     * @param {number} [timeout=RESPONSE_TIMEOUT]
+     * @returns {Promise<string>} The first line received matching the prefix.
+     */
+    waitFor(prefix, timeout = RESPONSE_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                prefix,
+                resolve,
+                reject
+            };
+            waiter.timeout = setTimeout(() => {
+                this.removeWaiter(waiter);
+                reject(new Error(`No response matching ${prefix} within ${timeout}ms`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * @param {string} command
+     * @returns {Promise}
+     */
+    write(command) {
+        return new Promise((resolve, reject) => {
+            this.socket.write(`${command}\r`, 'ascii', (error) => {
+                if(error) {
+                    reject(error);
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Queue a command, keeping the required delay to the previous command.
+     *
+     * @param {string} command - Command without the trailing carriage return.
+     * @param {string|RegExp} [responsePrefix] - Wait for a response line starting with this.
+     * @returns {Promise<string|undefined>} The response, if a prefix was given.
+     */
+    async send(command, responsePrefix) {
+        let response;
+        const turn = this.queue.then(async () => {
+            if(responsePrefix) {
+                response = this.waitFor(responsePrefix);
+            }
+            try {
+                await this.write(command);
+            }
+            catch(error) {
+                if(response) {
+                    // Avoid an unhandled rejection for the response we no longer wait for
+                    response.catch(() => {});
+                }
+                throw error;
+            }
+            await wait(COMMAND_DELAY);
+        });
+        this.queue = turn.catch(() => {});
+        await turn;
+        return response;
+    }
+
+    destroy() {
+        this.rejectWaiters(new Error('Connection destroyed'));
+        this.socket.destroy();
+    }
+}
+
 class ZoneProperty extends HEOSProperty {
     async setValue(value) {
         if(value === this.value) {
@@ -526,21 +2562,37 @@ class ZoneProperty extends HEOSProperty {
         await this.checkValue(value);
         switch(this.name) {
             case 'on':
-                await this.device.parent.sendCommand(`${this.device.zone}${DenonProperty.formatToggle(value)}`);
+                await this.device.parent.sendCommand(`${this.device.zone}${DenonProperty.formatToggle(value)}`, new RegExp(`^${this.device.zone}(${TOGGLE.TRUE}|${TOGGLE.FALSE})$`));
                 break;
             case 'input':
-                await this.device.parent.sendCommand(`${this.device.zone}${value}`);
+                const input = value === ZONE_SOURCE_NAME ? ZONE_SOURCE : this.device.parent.getInputCode(value);
+                await this.device.parent.sendCommand(`${this.device.zone}${input}`, `${this.device.zone}${input}`);
                 break;
             case 'volume':
-                const stringValue = DenonProperty.formatVolume(value);
-                await this.device.parent.sendCommand(`${this.device.zone}${stringValue}`);
+                const stringValue = DenonProperty.formatVolume(clampVolume(value, this.device.getVolumeLimit()));
+                await this.device.parent.sendCommand(`${this.device.zone}${stringValue}`, new RegExp(`^${this.device.zone}\\d`));
                 break;
             case 'muted':
-                await this.device.parent.sendCommand(`${this.device.zone}MU${DenonProperty.formatToggle(value)}`);
+                await this.device.parent.sendCommand(`${this.device.zone}MU${DenonProperty.formatToggle(value)}`, `${this.device.zone}MU`);
+                break;
+            case 'bass':
+                await this.device.parent.sendCommand(`${this.device.zone}PSBAS ${DenonProperty.formatTone(value)}`, `${this.device.zone}PSBAS`);
+                break;
+            case 'treble':
+                await this.device.parent.sendCommand(`${this.device.zone}PSTRE ${DenonProperty.formatTone(value)}`, `${this.device.zone}PSTRE`);
+                break;
+            case 'sleep':
+                await this.device.parent.sendCommand(`${this.device.zone}SLP${DenonProperty.formatSleep(value)}`, `${this.device.zone}SLP`);
+                // The response is the remaining time, which can't tell what was set
+                this.setCachedValueAndNotify(value);
+                break;
+            case 'autoStandby':
+                const standby = Object.keys(ZONE_AUTO_STANDBY).find((code) => ZONE_AUTO_STANDBY[code] === value);
+                await this.device.parent.sendCommand(`${this.device.zone}STBY${standby}`, `${this.device.zone}STBY`);
                 break;
         }
-        this.setCachedValueAndNotify(value);
-        return value;
+        // The response from the AVR updated the value
+        return this.value;
     }
 }
 
@@ -561,22 +2613,7 @@ class DenonZone extends Device {
         this.addProperty(new ZoneProperty(this, 'input', {
             title: 'Input',
             type: 'string',
-            enum: [
-                'SOURCE', // follow main zone source
-                'PHONO',
-                'CD',
-                'DVD',
-                'BD',
-                'TV',
-                'SAT/CBL',
-                'MPLAY',
-                'GAME',
-                'TUNER',
-                'AUX1',
-                'AUX2',
-                'NET',
-                'BT'
-            ],
+            enum: this.getInputNames()
         }));
         this.addProperty(new ZoneProperty(this, 'volume', {
             title: 'Volume',
@@ -590,14 +2627,56 @@ class DenonZone extends Device {
             title: 'Muted',
             type: 'boolean'
         }));
+        this.addProperty(new ZoneProperty(this, 'bass', DenonDevice.getToneDescription('Bass')));
+        this.addProperty(new ZoneProperty(this, 'treble', DenonDevice.getToneDescription('Treble')));
+        this.addProperty(new ZoneProperty(this, 'sleep', DenonDevice.getSleepDescription()));
+        this.addProperty(new ZoneProperty(this, 'sleepRemaining', DenonDevice.getSleepRemainingDescription()));
+        this.addProperty(new ZoneProperty(this, 'autoStandby', {
+            title: 'Auto Standby',
+            type: 'string',
+            enum: Object.values(ZONE_AUTO_STANDBY)
+        }));
+        this.addProperty(new ZoneProperty(this, 'currentQuickSelect', DenonDevice.getCurrentQuickSelectDescription()));
+        this.addEvent('volumeLimitExceeded', {
+            title: 'Volume Limit Exceeded',
+            type: 'number'
+        });
+        this.addAction('quickSelect', DenonDevice.getQuickSelectAction('Quick Select'));
+        this.addAction('storeQuickSelect', DenonDevice.getQuickSelectAction('Store Quick Select'));
+        this.addAction('fadeVolume', HEOSDevice.getFadeVolumeAction(98, 'Turn Off When Done'));
+        this.addAction('saveSnapshot', HEOSDevice.getSnapshotAction('Save Snapshot'));
+        this.addAction('restoreSnapshot', HEOSDevice.getSnapshotAction('Restore Snapshot'));
 
 
-        this.parent.ready.then(() => this.adapter.handleDeviceAdded(this));
+        this.parent.ready.then(() => {
+            // The AVR might have been removed in the meantime
+            if(this.parent) {
+                this.adapter.handleDeviceAdded(this);
+            }
+        });
     }
 
     async initDenonProperties() {
-        await this.parent.sendCommand(`${this.zone}?`);
-        await this.parent.sendCommand(`${this.zone}MU?`);
+        // Keep the reference, the zone might get removed while waiting
+        const { parent } = this;
+        if(!parent || this.initedProperties) {
+            return;
+        }
+        this.initedProperties = true;
+        try {
+            await parent.sendCommand(`${this.zone}?`);
+            await parent.sendCommand(`${this.zone}MU?`);
+            await parent.sendCommand(`${this.zone}PSBAS ?`);
+            await parent.sendCommand(`${this.zone}PSTRE ?`);
+            await parent.sendCommand(`${this.zone}SLP?`);
+            await parent.sendCommand(`${this.zone}STBY?`);
+            await parent.sendCommand(`${this.zone}QUICK ?`);
+        }
+        catch(error) {
+            // Lost the connection, initialize again once reconnected
+            this.initedProperties = false;
+            throw error;
+        }
     }
 
     async handleDenonInfo(message) {
@@ -606,31 +2685,141 @@ class DenonZone extends Device {
             this.findProperty('muted').setCachedValueAndNotify(message.endsWith(TOGGLE.TRUE));
             return true;
         }
+        if(withoutZone.startsWith('PSBAS')) {
+            this.findProperty('bass').setCachedValueAndNotify(DenonDevice.parseTone(withoutZone.slice(5)));
+            return true;
+        }
+        if(withoutZone.startsWith('PSTRE')) {
+            this.findProperty('treble').setCachedValueAndNotify(DenonDevice.parseTone(withoutZone.slice(5)));
+            return true;
+        }
+        if(withoutZone.startsWith('SLP')) {
+            this.parent.handleSleep(this, withoutZone.slice(3));
+            return true;
+        }
+        if(withoutZone.startsWith('QUICK')) {
+            const quickSelect = DenonDevice.parseQuickSelect(withoutZone.slice(5));
+            if(quickSelect !== undefined) {
+                this.findProperty('currentQuickSelect').setCachedValueAndNotify(quickSelect);
+            }
+            return true;
+        }
+        if(withoutZone.startsWith('STBY')) {
+            const standby = ZONE_AUTO_STANDBY[withoutZone.slice(4)];
+            if(standby) {
+                this.findProperty('autoStandby').setCachedValueAndNotify(standby);
+            }
+            return true;
+        }
         const number = Number.parseInt(withoutZone);
         if(!Number.isNaN(number)) {
             const parsedVolume = DenonDevice.parseVolume(withoutZone);
             this.findProperty('volume').setCachedValueAndNotify(parsedVolume);
+            this.adapter.handleVolumeReport(this, parsedVolume);
             return true;
         }
         if(withoutZone === TOGGLE.TRUE || withoutZone === TOGGLE.FALSE) {
+            this.findProperty('on').setCachedValueAndNotify(withoutZone === TOGGLE.TRUE);
             if(withoutZone === TOGGLE.TRUE) {
                 await this.parent.initDenonProperties();
             }
-            this.findProperty('on').setCachedValueAndNotify(withoutZone === TOGGLE.TRUE);
             return true;
         }
-        if(this.findProperty('input').enum.includes(withoutZone)) {
-            this.findProperty('input').setCachedValueAndNotify(withoutZone);
+        if(withoutZone === ZONE_SOURCE || this.parent.isInput(withoutZone)) {
+            this.inputCode = withoutZone;
+            this.findProperty('input').setCachedValueAndNotify(this.getInputName(withoutZone));
             return true;
         }
 
         return false;
     }
 
+    /**
+     * @returns {number|undefined} Highest volume currently allowed.
+     */
+    getVolumeLimit() {
+        return this.adapter.getVolumeLimit(this);
+    }
+
+    /**
+     * @param {Action} action
+     */
+    async performAction(action) {
+        switch(action.name) {
+            case 'quickSelect':
+                await this.parent.sendCommand(`${this.zone}QUICK${action.input}`, `${this.zone}QUICK`);
+                break;
+            case 'storeQuickSelect':
+                await this.parent.sendCommand(`${this.zone}QUICK${action.input} ${QUICK_SELECT_MEMORY}`);
+                await this.parent.sendCommand(`${this.zone}QUICK ?`, `${this.zone}QUICK`);
+                break;
+            case 'fadeVolume':
+                if(await fadeVolume(this, action.input) && action.input.turnOff) {
+                    await this.findProperty('on').setValue(false);
+                }
+                break;
+            case 'saveSnapshot':
+                await this.adapter.saveSnapshot(this, action.input);
+                break;
+            case 'restoreSnapshot':
+                await this.adapter.restoreSnapshot(this, action.input);
+                break;
+            default:
+                return super.performAction(action);
+        }
+    }
+
+    getSnapshot() {
+        return {
+            properties: getPropertyValues(this, [ 'on', 'input', ...ZONE_SNAPSHOT_LEVELS ])
+        };
+    }
+
+    async applySnapshot({ properties }) {
+        if(await restorePower(this, properties.on)) {
+            await restorePropertyValues(this, properties, [ 'input', ...ZONE_SNAPSHOT_LEVELS ]);
+        }
+    }
+
+    getInputNames() {
+        return [
+            ZONE_SOURCE_NAME,
+            ...this.parent.getInputNames()
+        ];
+    }
+
+    /**
+     * @param {string} code
+     * @returns {string}
+     */
+    getInputName(code) {
+        return code === ZONE_SOURCE ? ZONE_SOURCE_NAME : this.parent.getInputName(code);
+    }
+
+    /**
+     * Follow input changes of the AVR.
+     */
+    updateInputs() {
+        const property = this.findProperty('input');
+        const names = this.getInputNames();
+        if(names.join('\n') !== property.enum.join('\n')) {
+            property.enum = names;
+            this.adapter.announceDevice(this);
+        }
+        if(this.inputCode) {
+            property.setCachedValueAndNotify(this.getInputName(this.inputCode));
+        }
+    }
+
     destroy() {
+        if(this.volumeFade) {
+            this.volumeFade.cancel();
+        }
         if(this.parent) {
-            this.adapter.removeThing(this.parent);
-            this.parent.zone2 = undefined;
+            const parent = this.parent;
+            this.parent = undefined;
+            parent.zones.delete(this.zone);
+            this.adapter.removeThing(parent);
         }
     }
 }
@@ -649,6 +2838,30 @@ class DenonProperty extends HEOSProperty {
         return value ? TOGGLE.TRUE : TOGGLE.FALSE;
     }
 
+    /**
+     * @param {number} value - Level in dB.
+     * @returns {string}
+     */
+    static formatTone(value) {
+        return (value + TONE_OFFSET).toFixed(0).padStart(2, '0');
+    }
+
+    /**
+     * @param {number} value
+     * @returns {string}
+     */
+    static formatPreset(value) {
+        return value.toFixed(0).padStart(2, '0');
+    }
+
+    /**
+     * @param {number} value - Minutes, 0 to turn the sleep timer off.
+     * @returns {string}
+     */
+    static formatSleep(value) {
+        return value ? value.toFixed(0).padStart(3, '0') : TOGGLE.FALSE;
+    }
+
     async setValue(value) {
         if(value === this.value) {
             return value;
@@ -656,36 +2869,135 @@ class DenonProperty extends HEOSProperty {
         await this.checkValue(value);
         switch(this.name) {
             case 'on':
-                await this.device.sendCommand(`ZM${DenonProperty.formatToggle(value)}`);
+                await this.device.sendCommand(`ZM${DenonProperty.formatToggle(value)}`, 'ZM');
                 break;
             case 'audysseyLFC':
-                await this.device.sendCommand(`PSLFC ${DenonProperty.formatToggle(value)}`);
+                await this.device.sendCommand(`PSLFC ${DenonProperty.formatToggle(value)}`, 'PSLFC');
+                break;
+            case 'multEQ':
+                await this.device.sendCommand(`PSMULTEQ:${value}`, 'PSMULTEQ:');
+                break;
+            case 'dynamicEQ':
+                await this.device.sendCommand(`PSDYNEQ ${DenonProperty.formatToggle(value)}`, 'PSDYNEQ');
+                break;
+            case 'referenceLevelOffset':
+                await this.device.sendCommand(`PSREFLEV ${value}`, 'PSREFLEV');
+                break;
+            case 'dynamicVolume':
+                const dynamicVolume = Object.keys(DYNAMIC_VOLUME).find((code) => DYNAMIC_VOLUME[code] === value);
+                await this.device.sendCommand(`PSDYNVOL ${dynamicVolume}`, 'PSDYNVOL');
+                break;
+            case 'containmentAmount':
+                await this.device.sendCommand(`PSCNTAMT ${value.toFixed(0).padStart(2, '0')}`, 'PSCNTAMT');
+                break;
+            case 'videoMode':
+            case 'hdmiResolution':
+            case 'videoResolution':
+            case 'aspectRatio':
+            case 'videoOutput':
+                const videoSetting = VIDEO_SETTINGS[this.name];
+                const code = Object.keys(videoSetting.values).find((key) => videoSetting.values[key] === value);
+                await this.device.sendCommand(`${videoSetting.command}${code}`, `${videoSetting.command}${code}`);
+                break;
+            case 'toneControl':
+                await this.device.sendCommand(`PSTONE CTRL ${DenonProperty.formatToggle(value)}`, 'PSTONE CTRL');
+                break;
+            case 'bass':
+                await this.device.sendCommand(`PSBAS ${DenonProperty.formatTone(value)}`, 'PSBAS');
+                break;
+            case 'treble':
+                await this.device.sendCommand(`PSTRE ${DenonProperty.formatTone(value)}`, 'PSTRE');
+                break;
+            case 'loudness':
+                await this.device.sendCommand(`PSLOM ${DenonProperty.formatToggle(value)}`, 'PSLOM');
+                break;
+            case 'sleep':
+                await this.device.sendCommand(`SLP${DenonProperty.formatSleep(value)}`, 'SLP');
+                // The response is the remaining time, which can't tell what was set
+                this.setCachedValueAndNotify(value);
+                break;
+            case 'autoStandby':
+                const standby = Object.keys(AUTO_STANDBY).find((code) => AUTO_STANDBY[code] === value);
+                await this.device.sendCommand(`STBY${standby}`, 'STBY');
+                break;
+            case 'avrVolumeLimit':
+                const volumeLimit = Object.keys(AVR_VOLUME_LIMITS).find((code) => AVR_VOLUME_LIMITS[code] === value);
+                await this.device.sendCommand(`SSVCTZMALIM ${volumeLimit}`, 'SSVCTZMALIM');
+                break;
+            case 'eco':
+                const eco = Object.keys(ECO_MODES).find((code) => ECO_MODES[code] === value);
+                await this.device.sendCommand(`ECO${eco}`, 'ECO');
                 break;
             case 'band':
-                await this.device.sendCommand(`TMAN${value}`);
+                await this.device.sendCommand(`TMAN${value}`, BAND_PATTERN);
                 break;
             case 'preset':
-                await this.device.sendCommand(`TPAN${value.toFixed(0).padStart(2, '0')}`);
+                await this.device.sendCommand(`TPAN${DenonProperty.formatPreset(value)}`, /^TPAN\d/);
+                break;
+            case 'presetName':
+                const preset = this.device.getPresetNumber(value);
+                await this.device.sendCommand(`TPAN${DenonProperty.formatPreset(preset)}`, /^TPAN\d/);
+                break;
+            case 'hdMulticast':
+                await this.device.sendCommand(`HDMLT${value}`, 'HDMLT');
+                break;
+            case 'dabChannel':
+                // Channels only exist on the DAB band
+                if(this.device.findProperty('band').value !== DAB_BAND) {
+                    await this.device.sendCommand(`TMAN${DAB_BAND}`, BAND_PATTERN);
+                }
+                await this.device.sendCommand(`DACH${value}`, 'DACH');
                 break;
             case 'tunerFrequency':
-                await this.device.sendCommand(`TFAN${(value * 100).toFixed(0).padStart(6, '0')}`);
+                await this.device.sendCommand(`TFAN${(value * 100).toFixed(0).padStart(6, '0')}`, /^TFAN\d/);
                 break;
             case 'volume':
-                const stringValue = DenonProperty.formatVolume(value);
-                await this.device.sendCommand(`MV${stringValue}`);
+                const stringValue = DenonProperty.formatVolume(clampVolume(value, this.device.getVolumeLimit()));
+                await this.device.sendCommand(`MV${stringValue}`, /^MV\d/);
                 break;
             case 'muted':
-                await this.device.sendCommand(`MU${DenonProperty.formatToggle(value)}`);
+                await this.device.sendCommand(`MU${DenonProperty.formatToggle(value)}`, 'MU');
                 break;
             case 'avrSource':
-                await this.device.sendCommand(`SI${value}`);
+                await this.device.sendCommand(`SI${this.device.getInputCode(value)}`, 'SI');
                 break;
             case 'surroundMode':
-                await this.device.sendCommand(`MS${value}`);
+                await this.device.sendCommand(`MS${value}`, 'MS');
                 break;
+            default:
+                this.setCachedValueAndNotify(value);
+                return value;
         }
-        this.setCachedValueAndNotify(value);
-        return value;
+        // The response from the AVR updated the value
+        return this.value;
+    }
+}
+
+class ChannelLevelProperty extends HEOSProperty {
+    /**
+     * @param {DenonDevice} device
+     * @param {string} channel - Key of CHANNELS.
+     */
+    constructor(device, channel) {
+        super(device, `channelLevel${channel}`, {
+            title: `${CHANNELS[channel]} Level`,
+            type: 'number',
+            unit: 'dB',
+            minimum: -CHANNEL_LEVEL_RANGE,
+            maximum: CHANNEL_LEVEL_RANGE,
+            multipleOf: 0.5
+        });
+        this.channel = channel;
+    }
+
+    async setValue(value) {
+        if(value === this.value) {
+            return value;
+        }
+        await this.checkValue(value);
+        await this.device.sendCommand(`CV${this.channel} ${DenonProperty.formatVolume(value + CHANNEL_LEVEL_OFFSET)}`, `CV${this.channel} `);
+        // The response from the AVR updated the value
+        return this.value;
     }
 }
 
@@ -693,29 +3005,130 @@ class DenonDevice extends HEOSDevice {
     static parseVolume(volume) {
         let parsedVolume = Number.parseInt(volume.slice(0, 2));
         if(volume.length > 2) {
-            parsedVolume += Number.parseInt(volume.slice(2)) / (10 * volume.length - 2);
+            parsedVolume += Number.parseInt(volume.slice(2)) / (10 ** (volume.length - 2));
         }
         return parsedVolume;
     }
 
-    buildSchema() {
+    /**
+     * @param {string} value - Tone level as sent by the AVR, 50 being 0dB.
+     * @returns {number} Level in dB.
+     */
+    static parseTone(value) {
+        return Number.parseInt(value) - TONE_OFFSET;
+    }
+
+    /**
+     * @param {string} title
+     * @returns {object} Property description of a tone level.
+     */
+    static getToneDescription(title) {
+        return {
+            title,
+            type: 'number',
+            unit: 'dB',
+            minimum: -TONE_RANGE,
+            maximum: TONE_RANGE,
+            multipleOf: 1
+        };
+    }
+
+    /**
+     * @param {string} title
+     * @returns {object} Action description with the slot as input.
+     */
+    static getQuickSelectAction(title) {
+        return {
+            title,
+            input: {
+                type: 'integer',
+                minimum: 1,
+                maximum: QUICK_SELECT_COUNT
+            }
+        };
+    }
+
+    static getCurrentQuickSelectDescription() {
+        return {
+            title: 'Current Quick Select',
+            type: 'integer',
+            // 0 when the settings don't match a slot
+            minimum: 0,
+            maximum: QUICK_SELECT_COUNT,
+            readOnly: true
+        };
+    }
+
+    /**
+     * @param {string} value - Reported slot, like "1" or "1 MEMORY".
+     * @returns {number|undefined}
+     */
+    static parseQuickSelect(value) {
+        const quickSelect = Number.parseInt(value);
+        return Number.isNaN(quickSelect) ? undefined : quickSelect;
+    }
+
+    static getSleepDescription() {
+        return {
+            title: 'Sleep Timer',
+            type: 'integer',
+            unit: 'minute',
+            minimum: 0,
+            maximum: SLEEP_MAX
+        };
+    }
+
+    static getSleepRemainingDescription() {
+        return {
+            title: 'Sleep Time Remaining',
+            type: 'integer',
+            unit: 'minute',
+            minimum: 0,
+            maximum: SLEEP_MAX,
+            readOnly: true
+        };
+    }
+
+    buildSchema() {
         this['@type'] = [ 'OnOffSwitch' ];
         super.buildSchema();
 
+        this.reconnectAttempts = 0;
+        /**
+         * Pending sleep timer queries by zone prefix, '' for the main zone.
+         *
+         * @type {Map<string, NodeJS.Timeout>}
+         */
+        this.sleepPolls = new Map();
         this.disconnectedListener = () => {
             this.connectedNotify(false);
+            this.stopSleepPolls();
+            clearTimeout(this.signalTimeout);
+            // Re-query everything once the AVR is back
+            this.initedProperties = false;
+            for(const zone of this.zones.values()) {
+                zone.initedProperties = false;
+            }
+            this.scheduleReconnect();
         };
         this.connectedListener = () => {
             console.log('connected');
+            this.reconnectAttempts = 0;
+            if(this.resolveReady) {
+                this.resolveReady();
+                this.resolveReady = undefined;
+            }
             this.connectedNotify(true);
-            this.updateState().catch(console.error);
+            this.queryPower().catch(console.error);
         };
-        const decoder = new TextDecoder();
-        this.rawListener = (buffer) => {
-            this.handleDenonInfo(decoder.decode(buffer)).catch((error) => {
-                console.error('raw', error);
+        this.messageListener = (message) => {
+            this.handleDenonInfo(message).catch((error) => {
+                console.error('message', error);
             });
-        }
+        };
+        this.errorListener = (error) => {
+            console.warn('telnet', error);
+        };
         this.updateAVR(this.avr);
         this.isAVR = true;
         this.replacedProperties = ['volume', 'muted'];
@@ -726,25 +3139,22 @@ class DenonDevice extends HEOSDevice {
             type: 'boolean',
             '@type': 'OnOffProperty'
         }));
-        //TODO granular volume properties
+        /**
+         * Input names configured on the AVR by input code.
+         *
+         * @type {Map<string, string>}
+         */
+        this.inputNames = new Map();
+        /**
+         * Codes of the inputs deleted on the AVR.
+         *
+         * @type {Set<string>}
+         */
+        this.hiddenInputs = new Set();
         this.addProperty(new DenonProperty(this, 'avrSource', {
             title: 'AVR Input',
             type: 'string',
-            enum: [
-                'PHONO',
-                'CD',
-                'DVD',
-                'BD',
-                'TV',
-                'SAT/CBL',
-                'MPLAY',
-                'GAME',
-                'TUNER',
-                'AUX1',
-                'AUX2',
-                'NET', // HEOS -> expand into heos?
-                'BT'
-            ],
+            enum: this.getInputNames()
         }));
         this.addProperty(new DenonProperty(this, 'volume', {
             title: 'Volume',
@@ -758,6 +3168,11 @@ class DenonDevice extends HEOSDevice {
             title: 'Muted',
             type: 'boolean'
         }));
+        this.addProperty(new DenonProperty(this, 'avrVolumeLimit', {
+            title: 'AVR Volume Limit',
+            type: 'string',
+            enum: Object.values(AVR_VOLUME_LIMITS)
+        }));
         // this.addProperty(new HEOSProperty(this, 'audioInput', {
         //     title: 'Audio Input',
         //     type: 'string',
@@ -780,15 +3195,6 @@ class DenonDevice extends HEOSDevice {
         //         'OFF'
         //     ]
         // }));
-        // this.addProperty(new DenonProperty(this, 'videoOutput', {
-        //     title: 'Video Output',
-        //     type: 'string',
-        //     enum: [
-        //         'AUTO',
-        //         '1', //HDMI1
-        //         '2' //HDMI2
-        //     ]
-        // }));
         this.addProperty(new DenonProperty(this, 'audioOutput', {
             title: 'Audio Output',
             type: 'string',
@@ -802,51 +3208,29 @@ class DenonDevice extends HEOSDevice {
         this.addProperty(new DenonProperty(this, 'surroundMode', {
             title: 'Surround Mode',
             type: 'string',
-            enum: [
-                'MOVIE',
-                'MUSIC',
-                'GAME',
-                'DIRECT',
-                'PURE DIRECT',
-                'STEREO',
-                'AUTO',
-                'DOLBY DIGITAL',
-                'DTS SURROUND',
-                'MCH STEREO',
-                'ROCK ARENA',
-                'JAZZ CLUB',
-                'MONO MOVIE',
-                'MATRIX',
-                'VIDEO GAME',
-                'VIRTUAL'
-            ]
+            enum: SURROUND_MODES
         }));
+        for(const [ name, info ] of Object.entries(SIGNAL_INFO)) {
+            this.addProperty(new DenonProperty(this, name, {
+                title: info.title,
+                type: 'string',
+                readOnly: true
+            }));
+        }
         // this.addProperty(new HEOSProperty(this, 'subwoofer', {
         //     title: 'Subwoofer',
         //     type: 'boolean'
         // }));
-        // this.addProperty(new HEOSProperty(this, 'toneControl', {
-        //     title: 'Tone Control',
-        //     type: 'boolean'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'bass', {
-        //     title: 'Bass',
-        //     type: 'number',
-        //     minimum: 0,
-        //     maximum: 100,
-        //     '@type': 'LevelProperty'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'treble', {
-        //     title: 'Treble',
-        //     type: 'number',
-        //     minimum: 0,
-        //     maximum: 100,
-        //     '@type': 'LevelProperty'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'loudness', {
-        //     title: 'Loudness',
-        //     type: 'boolean'
-        // }));
+        this.addProperty(new DenonProperty(this, 'toneControl', {
+            title: 'Tone Control',
+            type: 'boolean'
+        }));
+        this.addProperty(new DenonProperty(this, 'bass', DenonDevice.getToneDescription('Bass')));
+        this.addProperty(new DenonProperty(this, 'treble', DenonDevice.getToneDescription('Treble')));
+        this.addProperty(new DenonProperty(this, 'loudness', {
+            title: 'Loudness',
+            type: 'boolean'
+        }));
         // this.addProperty(new HEOSProperty(this, 'clearVoice', {
         //     title: 'Clear Voice',
         //     type: 'boolean'
@@ -867,22 +3251,38 @@ class DenonDevice extends HEOSDevice {
         //     title: 'NeuralX',
         //     type: 'boolean'
         // }));
-        // this.addProperty(new HEOSProperty(this, 'multEQ', {
-        //     title: 'MultEQ',
-        //     type: 'boolean'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'dynamicEQ', {
-        //     title: 'Dynamic EQ',
-        //     type: 'boolean'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'dynamicVolume', {
-        //     title: 'Dynamic Volume',
-        //     type: 'boolean'
-        // }));
+        this.addProperty(new DenonProperty(this, 'multEQ', {
+            title: 'MultEQ',
+            type: 'string',
+            enum: MULTEQ_MODES
+        }));
+        this.addProperty(new DenonProperty(this, 'dynamicEQ', {
+            title: 'Dynamic EQ',
+            type: 'boolean'
+        }));
+        this.addProperty(new DenonProperty(this, 'referenceLevelOffset', {
+            title: 'Reference Level Offset',
+            type: 'integer',
+            unit: 'dB',
+            minimum: 0,
+            maximum: 15,
+            multipleOf: 5
+        }));
+        this.addProperty(new DenonProperty(this, 'dynamicVolume', {
+            title: 'Dynamic Volume',
+            type: 'string',
+            enum: Object.values(DYNAMIC_VOLUME)
+        }));
         this.addProperty(new DenonProperty(this, 'audysseyLFC', {
             title: 'Audyssey LFC',
             type: 'boolean'
         }));
+        this.addProperty(new DenonProperty(this, 'containmentAmount', {
+            title: 'LFC Containment Amount',
+            type: 'integer',
+            minimum: 1,
+            maximum: 7
+        }));
         // this.addProperty(new HEOSProperty(this, 'graphicEQ', {
         //     title: 'Graphic EQ',
         //     type: 'boolean'
@@ -892,43 +3292,11 @@ class DenonDevice extends HEOSDevice {
         //     type: 'boolean'
         // }));
 
-        // this.addProperty(new DenonProperty(this, 'aspectRatio', {
-        //     title: 'Aspect Ratio',
-        //     type: 'string',
-        //     enum: [
-        //         '16:9',
-        //         '4:3'
-        //     ]
-        // }));
-        // this.addProperty(new DenonProperty(this, 'videoResolution', {
-        //     title: 'Video Resolution',
-        //     type: 'string',
-        //     enum: [
-        //         '48P', // 480p
-        //         '10I', // 1080i
-        //         '72P', // 720p
-        //         '10P',
-        //         '10P24', // 1080p24
-        //         '4K',
-        //         '4KF', // 4K60
-        //         'AUTO'
-        //     ]
-        // }));
         // this.addProperty(new HEOSProperty(this, 'videoProcessingMode', {
         //     title: 'Video Processing Mode',
         //     type: 'string',
         //     enum: []
         // }));
-        // this.addProperty(new DenonProperty(this, 'videoMode', {
-        //     title: 'Picture Mode',
-        //     type: 'string',
-        //     enum: [
-        //         'AUTO',
-        //         'GAME',
-        //         'MOVI', // movie
-        //         'BYP' // bypass
-        //     ]
-        // })); //picture mode
         // this.addProperty(new HEOSProperty(this, 'imax', {
         //     title: 'IMAX',
         //     type: 'string',
@@ -962,38 +3330,56 @@ class DenonDevice extends HEOSDevice {
         //     type: 'boolean'
         // }));
 
-        // this.addProperty(new HEOSProperty(this, 'autoStandby', {
-        //     title: 'Auto Standby',
-        //     type: 'boolean'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'eco', {
-        //     title: 'Eco',
-        //     type: 'boolean'
-        // }));
-        // this.addProperty(new HEOSProperty(this, 'sleep', {
-        //     title: 'Sleep',
-        //     type: 'boolean'
-        // }));
+        this.addProperty(new DenonProperty(this, 'autoStandby', {
+            title: 'Auto Standby',
+            type: 'string',
+            enum: Object.values(AUTO_STANDBY)
+        }));
+        this.addProperty(new DenonProperty(this, 'eco', {
+            title: 'ECO Mode',
+            type: 'string',
+            enum: Object.values(ECO_MODES)
+        }));
+        this.addProperty(new DenonProperty(this, 'sleep', DenonDevice.getSleepDescription()));
+        this.addProperty(new DenonProperty(this, 'sleepRemaining', DenonDevice.getSleepRemainingDescription()));
 
         this.addAction('remote', {
             title: 'Remote',
             input: {
-                type: 'string',
-                enum: Object.keys(REMOTE_KEYS)
+                type: 'object',
+                required: [
+                    'key'
+                ],
+                properties: {
+                    key: {
+                        type: 'string',
+                        enum: Object.keys(REMOTE_KEYS)
+                    },
+                    hold: {
+                        title: 'Hold (seconds)',
+                        type: 'number',
+                        minimum: 0,
+                        maximum: REMOTE_MAX_HOLD
+                    }
+                }
             }
         });
-        //TODO hold 3 sec
-        // this.addAction('btPair', {
-        //     title: 'Bluetooth Pairing'
-        // });
-        // this.addAction('quickSelect', {
-        //     title: 'Quick Select',
-        //     input: {
-        //         type: 'integer',
-        //         minimum: 1,
-        //         maximum: 5
-        //     }
-        // });
+        this.addAction('fadeVolume', HEOSDevice.getFadeVolumeAction(98, 'Turn Off When Done'));
+        this.addAction('saveSnapshot', HEOSDevice.getSnapshotAction('Save Snapshot'));
+        this.addAction('restoreSnapshot', HEOSDevice.getSnapshotAction('Restore Snapshot'));
+        this.addAction('btPair', {
+            title: 'Bluetooth Pairing'
+        });
+        this.addAction('status', {
+            title: 'Status'
+        });
+        this.addAction('quickSelect', DenonDevice.getQuickSelectAction('Quick Select'));
+        this.addAction('storeQuickSelect', DenonDevice.getQuickSelectAction('Store Quick Select'));
+        this.addProperty(new DenonProperty(this, 'currentQuickSelect', DenonDevice.getCurrentQuickSelectDescription()));
+
+        this.addAction('resetChannelLevels', {
+            title: 'Reset Channel Levels'
+        });
 
         this.addAction('seekUp', {
             title: 'Seek Up'
@@ -1001,6 +3387,14 @@ class DenonDevice extends HEOSDevice {
         this.addAction('seekDown', {
             title: 'Seek Down'
         });
+        this.addAction('storePreset', {
+            title: 'Store Station as Preset',
+            input: {
+                type: 'integer',
+                minimum: 1,
+                maximum: PRESET_COUNT
+            }
+        });
         this.addProperty(new DenonProperty(this, 'tunerFrequency', {
             title: 'Frequency',
             type: 'number',
@@ -1008,18 +3402,18 @@ class DenonDevice extends HEOSDevice {
             multipleOf: 0.01,
             minimum: 80
         }));
-        // this.addAction('channelUp', {
-        //     title: 'Channel Up'
-        // });
-        // this.addAction('channelDown', {
-        //     title: 'Channel Down'
-        // });
         this.addProperty(new DenonProperty(this, 'preset', {
             title: 'Preset',
             type: 'integer',
             minimum: 1,
-            maximum: 56
+            maximum: PRESET_COUNT
         }));
+        /**
+         * Names of the stored tuner presets by preset number.
+         *
+         * @type {Map<number, string>}
+         */
+        this.presets = new Map();
         this.addProperty(new DenonProperty(this, 'band', {
             title: 'Band',
             type: 'string',
@@ -1029,56 +3423,538 @@ class DenonDevice extends HEOSDevice {
             ]
         }));
 
-        this.zone2 = new DenonZone(this.adapter, this, 'Z2', 'Zone 2');
-        //TODO remove zone2 with this since they're dependent? Also update offline state in sync.
+        /**
+         * @type {Map<string, DenonZone>}
+         */
+        this.zones = new Map();
+        /**
+         * Surround modes the AVR switched to by audio format.
+         *
+         * @type {Map<string, Set<string>>}
+         */
+        this.reportedSurroundModes = new Map();
     }
 
     async updateAVR(avr) {
-        if(!this.avr || avr.address !== this.avr.addrss) {
+        if(!this.denonDevice || avr.address !== this.avr.address) {
             this.avr = avr;
-            if(this.denonDevice) {
-                try {
-                    this.denonDevice.off('connect', this.connectedListener);
-                    this.denonDevice.off('data', this.rawListener);
-                    this.denonDevice.off('close', this.disconnectedListener);
-                    this.denonDevice.destroy();
-                }
-                catch(error) {
-                    console.warn(error);
-                }
-            }
+            this.reconnectAttempts = 0;
+            this.connectAVR();
+        }
+        else {
+            this.avr = avr;
+        }
+    }
+
+    connectAVR() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = undefined;
+        this.disconnectAVR();
+        if(!this.resolveReady) {
             this.ready = new Promise((resolve) => {
-                this.denonDevice = net.createConnection(23, this.avr.address, resolve);
+                this.resolveReady = resolve;
             });
-            this.denonDevice.on('close', this.disconnectedListener);
-            this.denonDevice.on('connect', this.connectedListener);
-            this.denonDevice.on('data', this.rawListener);
+        }
+        this.denonDevice = new DenonTelnet(this.avr.address, this.avr.port);
+        this.denonDevice.on('close', this.disconnectedListener);
+        this.denonDevice.on('connect', this.connectedListener);
+        this.denonDevice.on('message', this.messageListener);
+        this.denonDevice.on('error', this.errorListener);
+    }
+
+    disconnectAVR() {
+        if(!this.denonDevice) {
+            return;
+        }
+        try {
+            this.denonDevice.off('connect', this.connectedListener);
+            this.denonDevice.off('message', this.messageListener);
+            this.denonDevice.off('close', this.disconnectedListener);
+            this.denonDevice.off('error', this.errorListener);
+            this.denonDevice.destroy();
+        }
+        catch(error) {
+            console.warn(error);
+        }
+    }
+
+    scheduleReconnect() {
+        if(this.destroyed || this.reconnectTimeout) {
+            return;
+        }
+        const delay = getReconnectDelay(this.reconnectAttempts);
+        this.reconnectAttempts += 1;
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = undefined;
+            this.connectAVR();
+        }, delay);
+    }
+
+    /**
+     * @param {string} message - Command to send.
+     * @param {string|RegExp} [responsePrefix] - Wait for the AVR to answer with a line starting with this.
+     * @returns {Promise<string|undefined>} The response line.
+     */
+    async sendCommand(message, responsePrefix) {
+        return this.denonDevice.send(message, responsePrefix);
+    }
+
+    /**
+     * Query the power state. Once the AVR reports that it is on, the zones
+     * are probed and all other settings are queried by the PWON handler.
+     */
+    async queryPower() {
+        const power = await this.sendCommand('PW?', 'PW');
+        if(power !== 'PWON') {
+            // Zones answer in standby too
+            await this.probeZones();
+        }
+    }
+
+    async probeZones() {
+        for(const zoneId of Object.keys(ZONES)) {
+            await this.sendCommand(`${zoneId}?`);
+        }
+    }
+
+    /**
+     * @param {string} zoneId - Key of ZONES.
+     * @returns {DenonZone}
+     */
+    getZone(zoneId) {
+        let zone = this.zones.get(zoneId);
+        if(!zone) {
+            zone = new DenonZone(this.adapter, this, zoneId, ZONES[zoneId]);
+            this.zones.set(zoneId, zone);
+            if(this.initedProperties) {
+                zone.initDenonProperties().catch(console.error);
+            }
+        }
+        return zone;
+    }
+
+    /**
+     * Query the names and the usage of all inputs.
+     */
+    async queryInputs() {
+        this.queryingInputs = true;
+        try {
+            await this.sendCommand('SSFUN ?', 'SSFUN END');
+            await this.sendCommand('SSSOD ?', 'SSSOD END');
+        }
+        catch(error) {
+            // Older models can't list their inputs, keep the default ones
+            console.warn('inputs', error.message);
+        }
+        finally {
+            this.queryingInputs = false;
+        }
+        this.updateInputs();
+    }
+
+    /**
+     * @param {string} message - SSFUN or SSSOD line, like "SSFUNSAT/CBL Cable Box" or "SSSODPHONO DEL".
+     */
+    handleInputInfo(message) {
+        const info = message.slice(5).trim();
+        if(info !== 'END') {
+            const separator = info.indexOf(' ');
+            if(separator < 1) {
+                return;
+            }
+            const code = info.slice(0, separator);
+            const value = info.slice(separator + 1).trim();
+            if(message.startsWith('SSFUN')) {
+                this.inputNames.set(code, value);
+            }
+            else if(value === 'DEL') {
+                this.hiddenInputs.add(code);
+            }
+            else {
+                this.hiddenInputs.delete(code);
+            }
+        }
+        // Changes made on the AVR aren't followed by an end marker
+        if(info === 'END' || !this.queryingInputs) {
+            this.updateInputs();
+        }
+    }
+
+    /**
+     * @returns {string[]} Names of all inputs that weren't deleted on the AVR.
+     */
+    getInputNames() {
+        const codes = this.inputNames.size ? Array.from(this.inputNames.keys()) : Object.keys(INPUTS);
+        return codes.filter((code) => !this.hiddenInputs.has(code)).map((code) => this.getInputName(code));
+    }
+
+    /**
+     * @param {string} code
+     * @returns {boolean}
+     */
+    isInput(code) {
+        return INPUTS.hasOwnProperty(code) || this.inputNames.has(code);
+    }
+
+    /**
+     * @param {string} code
+     * @returns {string}
+     */
+    getInputName(code) {
+        return this.inputNames.get(code) || INPUTS[code] || code;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    getInputCode(name) {
+        const codes = [
+            ...this.inputNames.keys(),
+            ...Object.keys(INPUTS)
+        ];
+        return codes.find((code) => this.getInputName(code) === name) || name;
+    }
+
+    /**
+     * Follow input changes of the AVR in the input properties of all zones.
+     */
+    updateInputs() {
+        const property = this.findProperty('avrSource');
+        const names = this.getInputNames();
+        if(names.join('\n') !== property.enum.join('\n')) {
+            property.enum = names;
+            this.propertiesChanged = true;
+        }
+        this.announceProperties();
+        if(this.sourceCode) {
+            property.setCachedValueAndNotify(this.getInputName(this.sourceCode));
+        }
+        for(const zone of this.zones.values()) {
+            zone.updateInputs();
+        }
+    }
+
+    /**
+     * Query the names of all tuner presets.
+     */
+    async queryPresets() {
+        const reported = new Map();
+        this.reportedPresets = reported;
+        try {
+            let line = await this.sendCommand('OPTPN ?', 'OPTPN');
+            while(line && !line.startsWith(`OPTPN${PRESET_COUNT}`)) {
+                line = await this.denonDevice.waitFor('OPTPN', PRESET_IDLE_TIMEOUT).catch(() => undefined);
+            }
+        }
+        catch(error) {
+            // Older models can't list their presets
+            console.warn('presets', error.message);
+            return;
+        }
+        finally {
+            this.reportedPresets = undefined;
+        }
+        this.presets = reported;
+        this.updatePresets();
+    }
+
+    /**
+     * @param {string} message - OPTPN line, like "OPTPN01 BBC Radio 1", without a name for empty presets.
+     */
+    handlePresetName(message) {
+        const preset = Number.parseInt(message.slice(5, 7));
+        const name = message.slice(7).trim();
+        if(Number.isNaN(preset)) {
+            return;
+        }
+        const presets = this.reportedPresets || this.presets;
+        if(name) {
+            presets.set(preset, name);
         }
         else {
-            this.avr = avr;
+            presets.delete(preset);
+        }
+        if(!this.reportedPresets) {
+            this.updatePresets();
         }
     }
 
-    async sendCommand(message) {
-        await new Promise((resolve, reject) => {
-            this.denonDevice.write(message, 'ascii', (error) => {
-                if(error) {
-                    reject(error);
-                }
-                else {
-                    resolve();
-                }
+    /**
+     * List the stored presets and offer them for selection by name.
+     */
+    updatePresets() {
+        const names = Array.from(this.presets.values());
+        let property = this.findProperty('presetName');
+        if(!property && !names.length) {
+            return;
+        }
+        if(!property) {
+            property = new DenonProperty(this, 'presetName', {
+                title: 'Preset Station',
+                type: 'string',
+                enum: names
             });
-        });
+            this.addDynamicProperty(property);
+            this.addDynamicProperty(new DenonProperty(this, 'presetCatalog', {
+                title: 'Stored Presets',
+                type: 'string',
+                readOnly: true
+            }));
+        }
+        else if(names.join('\n') !== property.enum.join('\n')) {
+            property.enum = names;
+            this.propertiesChanged = true;
+        }
+        this.announceProperties();
+        const catalog = Array.from(this.presets, ([ preset, name ]) => `${preset}: ${name}`);
+        this.findProperty('presetCatalog').setCachedValueAndNotify(catalog.join(', '));
+        const current = this.findProperty('preset').value;
+        if(current) {
+            property.setCachedValueAndNotify(this.presets.get(current) || '');
+        }
     }
 
-    async updateState() {
-        await Promise.all([
-            super.updateState(),
-            this.ready
-        ]);
-        await this.sendCommand('PW?');
-        await this.sendCommand('ZM?');
+    /**
+     * @param {string} name
+     * @returns {number|undefined}
+     */
+    getPresetNumber(name) {
+        for(const [ preset, presetName ] of this.presets) {
+            if(presetName === name) {
+                return preset;
+            }
+        }
+    }
+
+    /**
+     * Offer the DAB band and channel once the AVR turned out to have a DAB tuner.
+     */
+    addDABBand() {
+        if(this.findProperty('dabChannel')) {
+            return;
+        }
+        const band = this.findProperty('band');
+        band.enum = [
+            ...band.enum,
+            DAB_BAND
+        ];
+        this.addDynamicProperty(new DenonProperty(this, 'dabChannel', {
+            title: 'DAB Channel',
+            type: 'string',
+            enum: DAB_CHANNELS
+        }));
+        this.announceProperties();
+    }
+
+    /**
+     * Query the levels of all channels the current speaker configuration has.
+     */
+    async queryChannelLevels() {
+        this.reportedChannels = new Set();
+        try {
+            await this.sendCommand('CV?', 'CVEND');
+        }
+        catch(error) {
+            // Some models don't end the list, keep the reported levels
+            console.warn('channel levels', error.message);
+        }
+        finally {
+            this.reportedChannels = undefined;
+        }
+    }
+
+    /**
+     * @param {string} message - CV line from the AVR, like "CVFL 505".
+     */
+    handleChannelLevel(message) {
+        if(message === 'CVEND') {
+            this.updateChannels(this.reportedChannels);
+            return;
+        }
+        const [ code, level ] = message.slice(2).split(' ');
+        if(!CHANNELS.hasOwnProperty(code) || !level) {
+            return;
+        }
+        if(this.reportedChannels) {
+            this.reportedChannels.add(code);
+        }
+        const name = `channelLevel${code}`;
+        if(!this.findProperty(name)) {
+            this.addDynamicProperty(new ChannelLevelProperty(this, code));
+        }
+        this.findProperty(name).setCachedValueAndNotify(DenonDevice.parseVolume(level) - CHANNEL_LEVEL_OFFSET);
+    }
+
+    /**
+     * Only keep the channel level properties of the reported channels and
+     * announce changed channels.
+     *
+     * @param {Set<string>} [channels] - All channels of the speaker configuration.
+     */
+    updateChannels(channels) {
+        for(const property of Array.from(this.properties.values())) {
+            if(channels && property instanceof ChannelLevelProperty && !channels.has(property.channel)) {
+                this.properties.delete(property.name);
+                this.propertiesChanged = true;
+            }
+        }
+        this.announceProperties();
+    }
+
+    /**
+     * Update the sleep timer of the main zone or a zone and keep querying the
+     * remaining time while it runs.
+     *
+     * @param {DenonDevice|DenonZone} device
+     * @param {string} value - OFF or the remaining minutes.
+     */
+    handleSleep(device, value) {
+        const remaining = value === TOGGLE.FALSE ? 0 : Number.parseInt(value);
+        if(Number.isNaN(remaining)) {
+            return;
+        }
+        device.findProperty('sleepRemaining').setCachedValueAndNotify(remaining);
+        const sleep = device.findProperty('sleep');
+        // Only a timer set on the AVR itself can be longer than the last known one
+        if(!remaining || !sleep.value || remaining > sleep.value) {
+            sleep.setCachedValueAndNotify(remaining);
+        }
+        const prefix = device === this ? '' : device.zone;
+        clearTimeout(this.sleepPolls.get(prefix));
+        this.sleepPolls.delete(prefix);
+        if(remaining) {
+            this.sleepPolls.set(prefix, setTimeout(() => {
+                this.sleepPolls.delete(prefix);
+                this.sendCommand(`${prefix}SLP?`).catch(console.error);
+            }, SLEEP_POLL_INTERVAL));
+        }
+    }
+
+    stopSleepPolls() {
+        for(const timeout of this.sleepPolls.values()) {
+            clearTimeout(timeout);
+        }
+        this.sleepPolls.clear();
+    }
+
+    /**
+     * @param {string} message
+     * @returns {boolean} If the message was a video setting.
+     */
+    handleVideoSetting(message) {
+        for(const [ name, setting ] of Object.entries(VIDEO_SETTINGS)) {
+            if(!message.startsWith(setting.command)) {
+                continue;
+            }
+            const value = setting.values[message.slice(setting.command.length).trim()];
+            if(!value) {
+                continue;
+            }
+            if(!this.findProperty(name)) {
+                this.addDynamicProperty(new DenonProperty(this, name, {
+                    title: setting.title,
+                    type: 'string',
+                    enum: Object.values(setting.values)
+                }));
+            }
+            this.findProperty(name).setCachedValueAndNotify(value);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Make the tone controls read-only while Dynamic EQ or a direct mode bypasses them.
+     */
+    updateToneControlAvailability() {
+        const blocked = !!this.findProperty('dynamicEQ').value || TONE_BYPASS_MODES.includes(this.findProperty('surroundMode').value);
+        if(!!this.findProperty('bass').readOnly === blocked) {
+            return;
+        }
+        for(const name of TONE_PROPERTIES) {
+            this.findProperty(name).readOnly = blocked;
+        }
+        this.propertiesChanged = true;
+        this.announceProperties();
+    }
+
+    /**
+     * Only offer the surround modes the AVR accepts for the reported audio
+     * format, plus the modes it reported itself while decoding that format.
+     */
+    updateSurroundModes() {
+        const format = this.findProperty('audioFormat').value;
+        const property = this.findProperty('surroundMode');
+        const code = Object.keys(AUDIO_SIGNALS).find((signal) => AUDIO_SIGNALS[signal] === format);
+        // All modes for signals without a known format
+        const available = FORMAT_SURROUND_MODES[code] || SURROUND_MODES;
+        const modes = SURROUND_MODES.filter((mode) => available.includes(mode));
+        const reported = this.reportedSurroundModes.get(format) || new Set();
+        // The AVR reports the mode it actually decodes with, like DOLBY ATMOS
+        for(const mode of [ ...reported, property.value ]) {
+            if(mode && !modes.includes(mode)) {
+                modes.push(mode);
+            }
+        }
+        if(modes.join('\n') !== property.enum.join('\n')) {
+            property.enum = modes;
+            this.propertiesChanged = true;
+        }
+        this.announceProperties();
+    }
+
+    /**
+     * Read the signal after the AVR switched the surround mode and remember
+     * the mode as valid for the audio format reported in response.
+     *
+     * @param {string} mode
+     */
+    async querySignalForSurroundMode(mode) {
+        const { command } = SIGNAL_INFO.audioFormat;
+        try {
+            // Only answers to this query match, earlier reports are already handled
+            await this.sendCommand(`${command} ?`, command);
+        }
+        catch(error) {
+            // Models without signal information don't answer
+            return;
+        }
+        if(this.findProperty('surroundMode').value === mode) {
+            const format = this.findProperty('audioFormat').value;
+            if(!this.reportedSurroundModes.has(format)) {
+                this.reportedSurroundModes.set(format, new Set());
+            }
+            this.reportedSurroundModes.get(format).add(mode);
+            this.updateSurroundModes();
+        }
+        await this.querySignalInfo(Object.keys(SIGNAL_INFO).filter((name) => name !== 'audioFormat'));
+    }
+
+    /**
+     * @param {string[]} [names] - Keys of SIGNAL_INFO to query.
+     */
+    async querySignalInfo(names = Object.keys(SIGNAL_INFO)) {
+        for(const name of names) {
+            await this.sendCommand(`${SIGNAL_INFO[name].command} ?`);
+        }
+    }
+
+    /**
+     * @param {string} message - SSINF line, like "SSINFAISSIG 14".
+     */
+    handleSignalInfo(message) {
+        for(const [ name, info ] of Object.entries(SIGNAL_INFO)) {
+            if(!message.startsWith(`${info.command} `)) {
+                continue;
+            }
+            const value = message.slice(info.command.length).trim();
+            this.findProperty(name).setCachedValueAndNotify(info.values && info.values.hasOwnProperty(value) ? info.values[value] : value);
+            if(name === 'audioFormat') {
+                this.updateSurroundModes();
+            }
+            return;
+        }
     }
 
     async initDenonProperties() {
@@ -1086,36 +3962,87 @@ class DenonDevice extends HEOSDevice {
             return;
         }
         this.initedProperties = true;
+        await this.queryInputs();
+        await this.sendCommand('PSMULTEQ: ?');
+        await this.sendCommand('PSDYNEQ ?');
+        await this.sendCommand('PSREFLEV ?');
+        await this.sendCommand('PSDYNVOL ?');
         await this.sendCommand('PSLFC?');
+        await this.sendCommand('PSCNTAMT ?');
+        await this.sendCommand('PSTONE CTRL ?');
+        await this.sendCommand('PSBAS ?');
+        await this.sendCommand('PSTRE ?');
+        await this.sendCommand('PSLOM ?');
         await this.sendCommand('TFAN?');
         await this.sendCommand('TFANNAME?');
+        await this.queryPresets();
         await this.sendCommand('TPAN?');
         await this.sendCommand('TMAN?');
+        // Only answered by models with a DAB or HD Radio tuner
+        await this.sendCommand('DACH ?');
+        await this.sendCommand('HDMLT ?');
         await this.sendCommand('MV?');
+        await this.sendCommand('SSVCTZMALIM ?');
         await this.sendCommand('MU?');
         await this.sendCommand('MS?');
+        await this.sendCommand('MSQUICK ?');
         await this.sendCommand('SI?');
         await this.sendCommand('OPTXM?');
-        await this.zone2.initDenonProperties();
+        await this.sendCommand('SLP?');
+        await this.sendCommand('STBY?');
+        await this.sendCommand('ECO?');
+        await this.querySignalInfo();
+        for(const setting of Object.values(VIDEO_SETTINGS)) {
+            await this.sendCommand(setting.query);
+        }
+        // Waits for the last response, so all supported video settings were reported
+        await this.queryChannelLevels();
+        for(const zone of this.zones.values()) {
+            await zone.initDenonProperties();
+        }
     }
 
+    /**
+     * @param {string} message - Line received from the AVR, without the carriage return.
+     */
     async handleDenonInfo(message) {
-        if(message.split('\r').length > 2) {
-            for(const actualMessage of message.split('\r')) {
-                if(actualMessage) {
-                    await this.handleDenonInfo(`${actualMessage}\r`);
-                }
-            }
-            return;
-        }
-        // strip \r
-        message = message.slice(0, -1);
         if(message.startsWith('PSLFC')) {
             this.findProperty('audysseyLFC').setCachedValueAndNotify(message.endsWith(' ON'));
         }
+        else if(message.startsWith('PSMULTEQ:')) {
+            this.findProperty('multEQ').setCachedValueAndNotify(message.slice(9));
+        }
+        else if(message.startsWith('PSDYNEQ')) {
+            this.findProperty('dynamicEQ').setCachedValueAndNotify(message.endsWith(' ON'));
+            this.updateToneControlAvailability();
+        }
+        else if(message.startsWith('PSREFLEV')) {
+            this.findProperty('referenceLevelOffset').setCachedValueAndNotify(Number.parseInt(message.slice(8)));
+        }
+        else if(message.startsWith('PSDYNVOL')) {
+            const dynamicVolume = DYNAMIC_VOLUME[message.slice(8).trim()];
+            if(dynamicVolume) {
+                this.findProperty('dynamicVolume').setCachedValueAndNotify(dynamicVolume);
+            }
+        }
+        else if(message.startsWith('PSCNTAMT')) {
+            this.findProperty('containmentAmount').setCachedValueAndNotify(Number.parseInt(message.slice(8)));
+        }
+        else if(message.startsWith('PSTONE CTRL')) {
+            this.findProperty('toneControl').setCachedValueAndNotify(message.endsWith(' ON'));
+        }
+        else if(message.startsWith('PSBAS')) {
+            this.findProperty('bass').setCachedValueAndNotify(DenonDevice.parseTone(message.slice(5)));
+        }
+        else if(message.startsWith('PSTRE')) {
+            this.findProperty('treble').setCachedValueAndNotify(DenonDevice.parseTone(message.slice(5)));
+        }
+        else if(message.startsWith('PSLOM')) {
+            this.findProperty('loudness').setCachedValueAndNotify(message.endsWith(' ON'));
+        }
         else if(message.startsWith('TFANNAME')) {
             const name = message.slice(8).trim();
-            const source = await this.getProperty('avrSource');
+            const source = this.sourceCode;
             this.overrideStation = source !== 'NET';
             if(source !== 'TUNER') {
                 // Ignore RDS while we aren't listening to the tuner (might be relevant for z2 though)
@@ -1124,21 +4051,86 @@ class DenonDevice extends HEOSDevice {
             this.findProperty('station').setCachedValueAndNotify(name);
         }
         else if(message.startsWith('TFAN')) {
-            this.findProperty('tunerFrequency').setCachedValueAndNotify(Number.parseInt(message.slice(4) / 100));
+            this.findProperty('tunerFrequency').setCachedValueAndNotify(Number.parseInt(message.slice(4)) / 100);
         }
-        else if(message.startsWith('TMAN') && message.length === 6) {
+        else if(BAND_PATTERN.test(message)) {
+            if(message.endsWith(DAB_BAND)) {
+                this.addDABBand();
+            }
             this.findProperty('band').setCachedValueAndNotify(message.slice(4));
         }
         else if(message.startsWith('TPAN')) {
             const presetNumber = Number.parseInt(message.slice(4));
             if(!Number.isNaN(presetNumber)) {
                 this.findProperty('preset').setCachedValueAndNotify(presetNumber);
+                if(this.findProperty('presetName')) {
+                    this.findProperty('presetName').setCachedValueAndNotify(this.presets.get(presetNumber) || '');
+                }
             }
         }
+        else if(message.startsWith('OPTPN')) {
+            this.handlePresetName(message);
+        }
+        else if(message.startsWith('DACH')) {
+            this.addDABBand();
+            this.findProperty('dabChannel').setCachedValueAndNotify(message.slice(4).trim());
+        }
+        else if(message.startsWith('HDMLT')) {
+            const channel = Number.parseInt(message.slice(5));
+            if(!Number.isNaN(channel)) {
+                if(!this.findProperty('hdMulticast')) {
+                    this.addDynamicProperty(new DenonProperty(this, 'hdMulticast', {
+                        title: 'HD Radio Channel',
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: HD_MULTICAST_CHANNELS
+                    }));
+                    this.announceProperties();
+                }
+                this.findProperty('hdMulticast').setCachedValueAndNotify(channel);
+            }
+        }
+        else if(message.startsWith('CV')) {
+            this.handleChannelLevel(message);
+        }
+        else if(message.startsWith('SSVCTZMALIM')) {
+            const volumeLimit = AVR_VOLUME_LIMITS[message.slice(11).trim()];
+            if(volumeLimit) {
+                this.findProperty('avrVolumeLimit').setCachedValueAndNotify(volumeLimit);
+            }
+        }
+        else if(message.startsWith('SSINF')) {
+            this.handleSignalInfo(message);
+        }
+        else if(message.startsWith('SSFUN') || message.startsWith('SSSOD')) {
+            this.handleInputInfo(message);
+        }
+        else if(message.startsWith('SLP')) {
+            this.handleSleep(this, message.slice(3));
+        }
+        else if(message.startsWith('STBY')) {
+            const standby = AUTO_STANDBY[message.slice(4)];
+            if(standby) {
+                this.findProperty('autoStandby').setCachedValueAndNotify(standby);
+            }
+        }
+        else if(message.startsWith('ECO')) {
+            const eco = ECO_MODES[message.slice(3)];
+            if(eco) {
+                this.findProperty('eco').setCachedValueAndNotify(eco);
+            }
+        }
+        else if(this.handleVideoSetting(message)) {
+            // Picture mode, resolution, aspect ratio or monitor out
+        }
+        else if(message.startsWith('MVMAX')) {
+            // Maximum volume currently allowed by the AVR, not the volume itself
+        }
         else if(message.startsWith('MV')) {
             const volume = message.slice(2).trim();
             const parsedVolume = DenonDevice.parseVolume(volume);
             this.findProperty('volume').setCachedValueAndNotify(parsedVolume);
+            this.adapter.handleVolumeReport(this, parsedVolume);
         }
         else if(message.startsWith('MU')) {
             this.findProperty('muted').setCachedValueAndNotify(message.endsWith(TOGGLE.TRUE));
@@ -1148,25 +4140,48 @@ class DenonDevice extends HEOSDevice {
             if(source !== 'NET' && source !== 'TUNER') {
                 this.findProperty('station').setCachedValueAndNotify('');
             }
-            this.findProperty('avrSource').setCachedValueAndNotify(source);
+            if(this.sourceCode && source !== this.sourceCode) {
+                clearTimeout(this.signalTimeout);
+                this.signalTimeout = setTimeout(() => {
+                    this.querySignalInfo().catch(console.error);
+                }, SIGNAL_DETECT_DELAY);
+            }
+            this.sourceCode = source;
+            this.findProperty('avrSource').setCachedValueAndNotify(this.getInputName(source));
+        }
+        else if(message.startsWith('MSQUICK')) {
+            const quickSelect = DenonDevice.parseQuickSelect(message.slice(7));
+            if(quickSelect !== undefined) {
+                this.findProperty('currentQuickSelect').setCachedValueAndNotify(quickSelect);
+            }
         }
         else if(message.startsWith('MS')) {
-            this.findProperty('surroundMode').setCachedValueAndNotify(message.slice(2));
+            const surroundMode = this.findProperty('surroundMode');
+            // The AVR switches the mode by itself once it detected a new bitstream
+            if(surroundMode.value && surroundMode.value !== message.slice(2)) {
+                clearTimeout(this.signalTimeout);
+                this.querySignalForSurroundMode(message.slice(2)).catch(console.error);
+            }
+            surroundMode.setCachedValueAndNotify(message.slice(2));
+            this.updateToneControlAvailability();
+            this.updateSurroundModes();
         }
         else if(message.startsWith('ZM')) {
+            this.findProperty('on').setCachedValueAndNotify(message.endsWith(TOGGLE.TRUE));
             if(message.endsWith(TOGGLE.TRUE)) {
                 await this.initDenonProperties();
             }
-            this.findProperty('on').setCachedValueAndNotify(message.endsWith(TOGGLE.TRUE));
         }
         else if(message === 'PWSTANDBY') {
             this.findProperty('on').setCachedValueAndNotify(false);
-            this.zone2.findProperty('on').setCachedValueAndNotify(false);
+            for(const zone of this.zones.values()) {
+                zone.findProperty('on').setCachedValueAndNotify(false);
+            }
         }
         else if(message === 'PWON') {
             if(!this.initedProperties) {
                 await this.sendCommand('ZM?');
-                await this.sendCommand('Z2?');
+                await this.probeZones();
             }
         }
         else if(message.startsWith('OPTXM')) {
@@ -1178,8 +4193,8 @@ class DenonDevice extends HEOSDevice {
                 this.findProperty('audioOutput').setCachedValueAndNotify('Speaker');
             }
         }
-        else if(message.startsWith(this.zone2.zone) && this.zone2.handleDenonInfo(message)) {
-            // message handled by zone2
+        else if(Object.keys(ZONES).some((zoneId) => message.startsWith(zoneId)) && await this.getZone(message.slice(0, 2)).handleDenonInfo(message)) {
+            // message handled by the zone
         }
         else {
             console.log(message);
@@ -1191,17 +4206,42 @@ class DenonDevice extends HEOSDevice {
      * @param {Action} action
      */
     async performAction(action) {
-        if(IR_MAP.hasOwnProperty(action.name)) {
-            return this.sendCommand(IR_MAP[action.name]);
-        }
         switch(action.name) {
             case 'remote':
-                await this.sendCommand(REMOTE_KEYS[action.input]);
+                const { key, hold } = action.input;
+                if(!REMOTE_KEYS.hasOwnProperty(key)) {
+                    // The gateway still performs actions with invalid input
+                    throw new Error(`Unknown remote key ${key}`);
+                }
+                await this.pressKey(REMOTE_KEYS[key], hold);
+                break;
+            case 'btPair':
+                await this.pressKey(IR_MAP.btPair, BT_PAIR_HOLD);
+                break;
+            case 'status':
+                await this.pressKey(IR_MAP.status);
+                break;
+            case 'quickSelect':
+                await this.sendCommand(`MSQUICK${action.input}`, 'MSQUICK');
+                break;
+            case 'storeQuickSelect':
+                await this.sendCommand(`MSQUICK${action.input} ${QUICK_SELECT_MEMORY}`);
+                await this.sendCommand('MSQUICK ?', 'MSQUICK');
+                break;
+            case 'storePreset':
+                // Memory mode stores the current station in the next selected preset
+                await this.sendCommand('TPANMEM');
+                await this.sendCommand(`TPAN${DenonProperty.formatPreset(action.input)}`, /^TPAN\d/);
+                await this.queryPresets();
+                break;
+            case 'resetChannelLevels':
+                await this.sendCommand('CVZRL');
+                await this.queryChannelLevels();
                 break;
             case 'seekUp':
                 await this.sendCommand('TFANUP');
                 break;
-            case 'seekUp':
+            case 'seekDown':
                 await this.sendCommand('TFANDOWN');
                 break;
             default:
@@ -1209,20 +4249,78 @@ class DenonDevice extends HEOSDevice {
         }
     }
 
+    /**
+     * @returns {number|undefined} Highest volume currently allowed, including the limit of the AVR itself.
+     */
+    getVolumeLimit() {
+        const limit = super.getVolumeLimit();
+        const avrLimit = Number.parseInt(this.findProperty('avrVolumeLimit').value);
+        if(Number.isNaN(avrLimit)) {
+            return limit;
+        }
+        return clampVolume(avrLimit, limit);
+    }
+
+    async turnOffAfterFade() {
+        await this.findProperty('on').setValue(false);
+    }
+
+    getSnapshot() {
+        const { media } = super.getSnapshot();
+        return {
+            properties: getPropertyValues(this, [ 'on', 'avrSource', ...AVR_SNAPSHOT_LEVELS ]),
+            // Only relevant while the AVR plays from HEOS
+            media: this.sourceCode === 'NET' ? media : undefined
+        };
+    }
+
+    async applySnapshot({ properties, media }) {
+        if(!await restorePower(this, properties.on)) {
+            return;
+        }
+        await restorePropertyValues(this, properties, [ 'avrSource' ]);
+        if(media && this.sourceCode === 'NET') {
+            await this.restoreMedia(media);
+        }
+        await restorePropertyValues(this, properties, AVR_SNAPSHOT_LEVELS);
+    }
+
+    /**
+     * Send a key, repeated while it is held.
+     *
+     * @param {string} command
+     * @param {number} [hold=0] - Seconds to hold the key for.
+     */
+    async pressKey(command, hold = 0) {
+        const repeats = Math.max(1, Math.round(hold * S_TO_MS / REMOTE_REPEAT_INTERVAL));
+        for(let index = 0; index < repeats; ++index) {
+            if(index) {
+                await wait(REMOTE_REPEAT_INTERVAL);
+            }
+            await this.sendCommand(command);
+        }
+    }
+
     destroy() {
         super.destroy();
-        if(this.zone2) {
-            this.adapter.removeThing(this.zone2);
-            this.zone2.parent = undefined;
+        for(const zone of this.zones.values()) {
+            zone.parent = undefined;
+            if(this.adapter.getDevice(zone.id)) {
+                this.adapter.removeThing(zone);
+            }
         }
-        this.denonDevice.off('raw', this.rawListener);
-        this.denonDevice.off('connected', this.connectedListener);
-        this.denonDevice.off('disconnected', this.disconnectedListener);
-        this.denonDevice.destroy();
+        this.zones.clear();
+        clearTimeout(this.reconnectTimeout);
+        clearTimeout(this.signalTimeout);
+        this.stopSleepPolls();
+        this.disconnectAVR();
     }
 
     connectedNotify(state) {
-        this.zone2.connectedNotify(state);
+        super.connectedNotify(state);
+        for(const zone of this.zones.values()) {
+            zone.connectedNotify(state);
+        }
     }
 }
 
@@ -1235,8 +4333,19 @@ class DenonAdapter extends Adapter {
          */
         this.heosConnection = null;
         this.sourceInfo = [];
-
-        //TODO allow setting heos account to sign in with
+        this.groups = [];
+        this.heosReconnectAttempts = 0;
+        this.config = {};
+        this.configLoaded = this.loadConfig().catch((error) => {
+            console.error('error loading config', error);
+        });
+        const userProfile = this.getUserProfile && this.getUserProfile();
+        if(userProfile && userProfile.mediaDir) {
+            this.mediaDir = path.join(userProfile.mediaDir, manifest.id);
+            this.artworkCache = new ArtworkCache(path.join(userProfile.dataDir, manifest.id, 'artwork'));
+            this.artworkCache.clear().catch(console.warn);
+        }
+        this.snapshots = new SnapshotStore(userProfile && userProfile.dataDir && path.join(userProfile.dataDir, manifest.id, 'snapshots.json'));
 
         this.startPairing();
     }
@@ -1262,19 +4371,36 @@ class DenonAdapter extends Adapter {
      */
     async setHeosConnection(heosConnection, caller) {
         this.heosConnection = heosConnection;
+        this.heosAddress = heosConnection.socket.remoteAddress;
+        try {
+            await this.signIn();
+        }
+        catch(error) {
+            console.warn('error signing in', error);
+        }
         try {
             await this.initSources();
         }
         catch(error) {
             console.warn('error updating source', error);
         }
+        try {
+            await this.initGroups();
+        }
+        catch(error) {
+            console.warn('error updating groups', error);
+        }
         const disconnect = () => {
+            if(this.heosConnection !== heosConnection) {
+                return;
+            }
             this.heosConnection = null;
             for(const device of Object.values(this.devices)) {
                 if(!device.isAVR && !device.isZone) {
                     device.connectedNotify(false);
                 }
             }
+            this.scheduleHeosReconnect();
         };
         this.heosConnection.onClose(disconnect);
         this.heosConnection.onError((error) => {
@@ -1287,30 +4413,310 @@ class DenonAdapter extends Adapter {
         this.heosConnection.on({ commandGroup: 'event', command: 'players_changed' }, () => {
             this._startPairing(60).catch(console.error);
         });
+        this.heosConnection.on({ commandGroup: 'event', command: 'user_changed' }, () => {
+            this.signIn()
+                .then(() => this.initSources())
+                .catch(console.error);
+        });
+        this.heosConnection.on({ commandGroup: 'event', command: 'groups_changed' }, () => {
+            this.initGroups().catch(console.error);
+        });
+        const groupVolumeListener = (message) => {
+            if(message && message.heos && message.heos.message && message.heos.message.parsed && (message.heos.result || 'success') === 'success') {
+                this.updateGroupVolume(message.heos.message.parsed);
+            }
+        };
+        this.heosConnection.on({ commandGroup: 'event', command: 'group_volume_changed' }, groupVolumeListener);
+        this.heosConnection.on({ commandGroup: 'group', command: 'get_volume' }, groupVolumeListener);
+        this.heosConnection.on({ commandGroup: 'group', command: 'get_mute' }, groupVolumeListener);
+        // One listener per connection, heos-api can't remove listeners of requests that never got an answer
+        this.heosConnection.on({ commandGroup: 'system', command: 'heart_beat' }, () => {
+            if(this.resolveHeartbeat) {
+                this.resolveHeartbeat();
+            }
+        });
         for(const device of Object.values(this.devices)) {
             if(!device.isZone && (!caller || caller.id !== device.id)) {
                 device.hasHeosConnectionListener = false;
                 try {
                     await device.updateState()
+                    if(!device.isAVR) {
+                        device.connectedNotify(true);
+                    }
                 }
                 catch(error) {
                     console.error('error updating state of', device.id, error);
                 }
             }
         }
+        if(this.heosConnection === heosConnection) {
+            this.heosReconnectAttempts = 0;
+        }
+        if(!this.heartbeatInterval) {
+            this.heartbeatInterval = setInterval(() => {
+                this.heartbeat().catch(console.warn);
+            }, HEARTBEAT_INTERVAL);
+        }
+    }
+
+    scheduleHeosReconnect() {
+        if(this.unloading || this.heosReconnectTimeout) {
+            return;
+        }
+        const delay = getReconnectDelay(this.heosReconnectAttempts);
+        this.heosReconnectAttempts += 1;
+        this.heosReconnectTimeout = setTimeout(() => {
+            this.heosReconnectTimeout = undefined;
+            this.reconnectHeos().catch((error) => {
+                console.warn('error reconnecting to HEOS', error);
+                this.scheduleHeosReconnect();
+            });
+        }, delay);
+    }
+
+    async reconnectHeos() {
+        if(this.heosConnection) {
+            return;
+        }
+        const heosConnection = this.heosAddress ? await connectHeos(this.heosAddress) : await heos.discoverAndConnect({ timeout: 60 * S_TO_MS });
+        if(this.heosConnection || this.unloading) {
+            // Another connection was established in the meantime
+            heosConnection.close();
+            return;
+        }
+        await this.setHeosConnection(heosConnection);
+    }
+
+    /**
+     * Detect half-open HEOS connections, for example after the network dropped.
+     */
+    async heartbeat() {
+        const connection = this.heosConnection;
+        if(!connection) {
+            return;
+        }
+        const answered = new Promise((resolve) => {
+            this.resolveHeartbeat = resolve;
+        });
+        connection.write('system', 'heart_beat');
+        const timedOut = await Promise.race([
+            answered.then(() => false),
+            wait(HEARTBEAT_TIMEOUT).then(() => true)
+        ]);
+        this.resolveHeartbeat = undefined;
+        if(timedOut && this.heosConnection === connection) {
+            console.warn('HEOS heart beat timed out, reconnecting');
+            connection.socket.destroy();
+        }
+    }
+
+    /**
+     * @param {Device} device
+     * @returns {object|undefined} Volume limit config of the device, by name or id.
+     */
+    getVolumeLimitConfig(device) {
+        return (this.config.volumeLimits || []).find((limit) => limit.device === device.name || limit.device === device.id);
+    }
+
+    /**
+     * @param {Device} device
+     * @returns {number|undefined} Highest volume the config currently allows for the device.
+     */
+    getVolumeLimit(device) {
+        const config = this.getVolumeLimitConfig(device);
+        if(!config) {
+            return;
+        }
+        let limit = config.maximum;
+        if(config.quietHoursMaximum !== undefined && isWithinTimeOfDay(config.quietHoursStart || DEFAULT_QUIET_HOURS_START, config.quietHoursEnd || DEFAULT_QUIET_HOURS_END)) {
+            limit = clampVolume(config.quietHoursMaximum, limit);
+        }
+        return limit;
+    }
+
+    /**
+     * @param {Device} device
+     * @param {string} name
+     */
+    async saveSnapshot(device, name) {
+        await this.snapshots.set(device.id, name, device.getSnapshot());
+    }
+
+    /**
+     * @param {Device} device
+     * @param {string} name
+     */
+    async restoreSnapshot(device, name) {
+        const snapshot = await this.snapshots.get(device.id, name);
+        if(!snapshot) {
+            throw new Error(`Unknown snapshot ${name}`);
+        }
+        await device.applySnapshot(snapshot);
+    }
+
+    /**
+     * Stop a running fade when the volume was changed by someone else. Report
+     * a volume above the limit, which was raised on the device itself, and
+     * turn it down again if configured.
+     *
+     * @param {Device} device
+     * @param {number} volume
+     */
+    handleVolumeReport(device, volume) {
+        if(device.volumeFade && !device.volumeFade.isOwnVolume(volume)) {
+            device.volumeFade.cancel();
+        }
+        const limit = device.getVolumeLimit();
+        if(limit === undefined || volume <= limit) {
+            return;
+        }
+        device.eventNotify(new Event(device, 'volumeLimitExceeded', volume));
+        const config = this.getVolumeLimitConfig(device);
+        if(config && config.enforce) {
+            device.findProperty('volume').setValue(limit).catch(console.error);
+        }
+    }
+
+    async loadConfig() {
+        const database = new Database(manifest.id);
+        await database.open();
+        this.config = await database.loadConfig();
+        database.close();
+    }
+
+    /**
+     * @returns {Promise<string|undefined>} Name of the signed in HEOS account.
+     */
+    async checkAccount() {
+        const message = await this.makeHeosRequest('system', 'check_account');
+        if(message.heos.message.unparsed && message.heos.message.unparsed.startsWith('signed_in')) {
+            return message.heos.message.parsed ? decodeHeosAttribute(`${message.heos.message.parsed.un}`) : '';
+        }
+    }
+
+    /**
+     * Sign in to the HEOS account from the adapter config, if one is configured
+     * and not already signed in.
+     */
+    async signIn() {
+        await this.configLoaded;
+        const { username, password } = this.config;
+        if(!username || !password) {
+            return;
+        }
+        if(await this.checkAccount() === username) {
+            return;
+        }
+        try {
+            await this.makeHeosRequest('system', 'sign_in', {
+                un: encodeHeosAttribute(username),
+                pw: encodeHeosAttribute(password)
+            });
+        }
+        catch(error) {
+            const reason = error && error.heos && error.heos.message.parsed && error.heos.message.parsed.text;
+            this.reportSignInError(reason || 'Sign in failed');
+            return;
+        }
+        if(await this.checkAccount() !== username) {
+            this.reportSignInError('Not signed in after sign in');
+        }
+    }
+
+    /**
+     * @param {string} reason
+     */
+    reportSignInError(reason) {
+        console.warn('HEOS sign in failed', reason);
+        this.sendPairingPrompt(`Could not sign in to HEOS account ${this.config.username}: ${reason}`);
+        for(const device of Object.values(this.devices)) {
+            if(!device.isZone) {
+                device.eventNotify(new Event(device, 'signInError', reason));
+            }
+        }
     }
 
     async initSources() {
-        const message = await this.makeHeosRequest('browser', 'get_music_sources');
+        const message = await this.makeHeosRequest('browse', 'get_music_sources');
         this.sourceInfo = message.payload.filter((source) => source.available == 'true');
         const sourceEnum = this.sourceInfo.map((source) => source.name);
         for(const device of Object.values(this.devices)) {
             if(!device.isZone) {
-                device.findProperty('source').enum = sourceEnum;
+                const sourceProperty = device.findProperty('source');
+                if(sourceEnum.join('\n') !== sourceProperty.enum.join('\n')) {
+                    sourceProperty.enum = sourceEnum;
+                    device.actions.get('browseSource').input.enum = sourceEnum;
+                    device.propertiesChanged = true;
+                }
+                device.announceProperties();
+            }
+        }
+    }
+
+    async initGroups() {
+        const message = await this.makeHeosRequest('group', 'get_groups');
+        this.groups = message.payload || [];
+        for(const device of Object.values(this.devices)) {
+            if(!device.isZone) {
+                device.updateGroup(this.getGroupForPlayer(device.heosPlayer.pid));
+            }
+        }
+        for(const group of this.groups) {
+            this.heosConnection.write('group', 'get_volume', {
+                gid: group.gid
+            });
+            this.heosConnection.write('group', 'get_mute', {
+                gid: group.gid
+            });
+        }
+    }
+
+    /**
+     * @param {number} pid
+     * @returns {object|null} Group the player is a member of.
+     */
+    getGroupForPlayer(pid) {
+        return this.groups.find((group) => group.players.some((player) => player.pid == pid)) || null;
+    }
+
+    /**
+     * @param {object} payload - Parsed group volume message, containing the gid.
+     */
+    updateGroupVolume(payload) {
+        const group = this.groups.find((group) => group.gid == payload.gid);
+        if(!group) {
+            return;
+        }
+        for(const player of group.players) {
+            const device = this.devices[`heos-${player.pid}`];
+            if(device) {
+                device.updateGroupVolume(payload);
             }
         }
     }
 
+    /**
+     * @param {Device} [except] - Device to leave out of the list.
+     * @returns {string[]} Names of all known HEOS players.
+     */
+    getPlayerNames(except) {
+        return Object.values(this.devices)
+            .filter((device) => !device.isZone && device !== except)
+            .map((device) => device.name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {HEOSDevice}
+     */
+    getPlayerByName(name) {
+        const device = Object.values(this.devices).find((device) => !device.isZone && device.name === name);
+        if(!device) {
+            throw new Error(`Unknown player ${name}`);
+        }
+        return device;
+    }
+
     startPairing(timeoutInS = 60) {
         super.startPairing();
         this._startPairing(timeoutInS).catch(console.error);
@@ -1334,46 +4740,120 @@ class DenonAdapter extends Adapter {
         return message.payload;
     }
 
-    async getDenonAVRs(timeoutInS) {
-        this.ssdpClient = new Client();
-        this.ssdpClient.on('response', async (meta, status, networkInfo) => {
-            const request = await fetch(meta.LOCATION);
-            if(request.ok && request.status == 200) {
-                const xml = await request.text();
-                const parsed = xmlParser.parse(xml);
-                try {
-                    const heosConnection = await heos.connect(networkInfo.address);
-                    if(!this.heosConnection) {
-                        await this.setHeosConnection(heosConnection);
-                    }
-                    const heosPlayers = await new Promise((resolve, reject) => {
-                        heosConnection.once({
-                            commandGroup: 'player',
-                            command: 'get_players'
-                        }, (message) => {
-                            if(message && message.heos && message.heos.result === 'success') {
-                                resolve(message.payload);
-                            }
-                            else {
-                                reject(message);
-                            }
-                        });
-                        heosConnection.write('player', 'get_players');
-                    });
-                    const heosPlayer = heosPlayers.find((player) => player.serial === parsed.root.device.serialNumber) || heosPlayers[0];
-                    this.onDiscover(heosPlayer, {
-                        address: networkInfo.address,
-                        serial: parsed.root.device.serialNumber,
-                        name: parsed.root.device.friendlyName,
-                        model: parsed.root.device.modelName,
-                        uuid: parsed.root.device.UDN
-                    });
+    /**
+     * @param {string} location - URL of the UPnP device description.
+     * @returns {Promise<object>} Root device of the description.
+     */
+    async fetchDescription(location) {
+        const response = await fetch(location, { timeout: DESCRIPTION_TIMEOUT });
+        if(!response.ok) {
+            throw new Error(`Could not load device description from ${location}: ${response.status}`);
+        }
+        const parsed = xmlParser.parse(await response.text());
+        return parsed.root.device;
+    }
+
+    /**
+     * @param {HeosConnection} heosConnection
+     * @returns {Promise<object[]>}
+     */
+    getPlayersFromConnection(heosConnection) {
+        return new Promise((resolve, reject) => {
+            heosConnection.once({
+                commandGroup: 'player',
+                command: 'get_players'
+            }, (message) => {
+                if(message && message.heos && message.heos.result === 'success') {
+                    resolve(message.payload);
                 }
-                catch(error) {
-                    console.error(error);
-                    this.sendPairingPrompt(`Please enable HEOS for AVR at ${networkInfo.address} (${parsed.root.device.friendlyName})`);
+                else {
+                    reject(message);
                 }
+            });
+            heosConnection.write('player', 'get_players');
+        });
+    }
+
+    /**
+     * Connect to a device at a known address and add it as thing.
+     *
+     * @param {string} address
+     * @param {string} location - URL of the UPnP device description.
+     * @param {boolean} isAVR - If the device should be controlled via telnet too.
+     */
+    async connectHost(address, location, isAVR) {
+        let description;
+        try {
+            description = await this.fetchDescription(location);
+        }
+        catch(error) {
+            if(isAVR) {
+                throw error;
+            }
+            // Speakers can still be matched by their IP
+            console.warn(error);
+        }
+        let heosConnection;
+        let heosPlayers;
+        try {
+            heosConnection = await connectHeos(address);
+            if(!this.heosConnection) {
+                await this.setHeosConnection(heosConnection);
+            }
+            heosPlayers = await this.getPlayersFromConnection(heosConnection);
+        }
+        catch(error) {
+            console.error(error);
+            if(isAVR) {
+                this.sendPairingPrompt(`Please enable HEOS for AVR at ${address} (${description.friendlyName})`);
+            }
+            return;
+        }
+        finally {
+            if(heosConnection && heosConnection !== this.heosConnection) {
+                heosConnection.close();
+            }
+        }
+        const heosPlayer = (description && heosPlayers.find((player) => `${player.serial}` === `${description.serialNumber}`)) ||
+            heosPlayers.find((player) => player.ip === address);
+        if(!heosPlayer) {
+            console.warn(`No HEOS player matches the host ${address}`);
+            return;
+        }
+        if(!isAVR) {
+            this.onDiscover(heosPlayer);
+            return;
+        }
+        this.onDiscover(heosPlayer, {
+            address,
+            serial: description.serialNumber,
+            name: description.friendlyName,
+            model: description.modelName,
+            uuid: description.UDN
+        });
+    }
+
+    /**
+     * Connect to all configured hosts in parallel, so an unreachable one
+     * doesn't hold up the others.
+     */
+    async connectManualHosts() {
+        await this.configLoaded;
+        const hosts = (this.config.hosts || []).filter((host) => host.address);
+        await Promise.all(hosts.map(async (host) => {
+            try {
+                await this.connectHost(host.address, `http://${host.address}:${DESCRIPTION_PORT}/description.xml`, host.type !== 'HEOS Speaker');
+            }
+            catch(error) {
+                console.error('error connecting to', host.address, error);
             }
+        }));
+    }
+
+    async getDenonAVRs(timeoutInS) {
+        this.ssdpClient = new Client();
+        this.ssdpClient.on('response', (meta, status, networkInfo) => {
+            this.connectHost(networkInfo.address, meta.LOCATION, true).catch(console.error);
         });
         this.ssdpClient.search('urn:schemas-denon-com:device:ACT-Denon:1');
         this.pairingTimeout = setTimeout(() => {
@@ -1387,7 +4867,11 @@ class DenonAdapter extends Adapter {
     }
 
     async _startPairing(timeoutInS) {
-        this.getDenonAVRs(timeoutInS);
+        const manualHosts = this.connectManualHosts();
+        this.getDenonAVRs(timeoutInS).catch(console.error);
+        // Prefer a configured host for the HEOS connection, so it exists even
+        // without discovery. Connecting times out, so this can't block for long.
+        await manualHosts;
         const players = await this.getHeosPlayers(timeoutInS);
         const seenPids = new Set();
         for(const player of players) {
@@ -1410,7 +4894,7 @@ class DenonAdapter extends Adapter {
         }
         catch(error) {
             if(callingDevice && callingDevice.isAVR) {
-                connection = await heos.connect(callingDevice.avr.address);
+                connection = await connectHeos(callingDevice.avr.address);
                 tempConnection = true;
             }
             else {
@@ -1418,10 +4902,15 @@ class DenonAdapter extends Adapter {
             }
         }
         return new Promise((resolve, reject) => {
-            connection.once({
-                commandGroup,
-                command
-            }, (message) => {
+            const listener = (message) => {
+                if(message && message.heos && message.heos.message && message.heos.message.unparsed && message.heos.message.unparsed.startsWith('command under process')) {
+                    // Actual response follows once the command finished
+                    connection.once({
+                        commandGroup,
+                        command
+                    }, listener);
+                    return;
+                }
                 if(tempConnection) {
                     connection.close();
                 }
@@ -1431,7 +4920,11 @@ class DenonAdapter extends Adapter {
                 else {
                     reject(message);
                 }
-            });
+            };
+            connection.once({
+                commandGroup,
+                command
+            }, listener);
             connection.write(commandGroup, command, options);
         });
     }
@@ -1460,14 +4953,62 @@ class DenonAdapter extends Adapter {
         }
     }
 
+    handleDeviceAdded(device) {
+        super.handleDeviceAdded(device);
+        if(!device.isZone) {
+            device.updateGroup(this.getGroupForPlayer(device.heosPlayer.pid));
+        }
+        this.updatePlayerLists();
+    }
+
+    /**
+     * Send the changed description of a device to the gateway, which replaces
+     * the description of devices that are added again.
+     *
+     * @param {Device} device
+     */
+    announceDevice(device) {
+        // Not added yet, the gateway gets the complete description then
+        if(this.devices[device.id] === device) {
+            this.handleDeviceAdded(device);
+        }
+    }
+
     handleDeviceRemoved(device) {
         device.destroy();
         super.handleDeviceRemoved(device);
+        this.updatePlayerLists();
+    }
+
+    /**
+     * Offer the other players in the group member actions and announce the
+     * players whose list changed.
+     */
+    updatePlayerLists() {
+        for(const device of Object.values(this.devices)) {
+            if(device.isZone) {
+                continue;
+            }
+            const otherPlayers = this.getPlayerNames(device);
+            const addGroupMember = device.actions.get('addGroupMember');
+            if(otherPlayers.join('\n') === addGroupMember.input.enum.join('\n')) {
+                continue;
+            }
+            addGroupMember.input.enum = otherPlayers;
+            device.actions.get('removeGroupMember').input.enum = otherPlayers;
+            // Not our override, which would update the lists again
+            super.handleDeviceAdded(device);
+        }
     }
 
     unload() {
+        this.unloading = true;
         this.cancelPairing();
-        this.heosConnection.close();
+        clearInterval(this.heartbeatInterval);
+        clearTimeout(this.heosReconnectTimeout);
+        if(this.heosConnection) {
+            this.heosConnection.close();
+        }
         return super.unload();
     }
 }
@@ -1475,3 +5016,7 @@ class DenonAdapter extends Adapter {
 module.exports = (addonManager) => {
     new DenonAdapter(addonManager);
 };
+module.exports.DenonAdapter = DenonAdapter;
+module.exports.DenonDevice = DenonDevice;
+module.exports.DenonTelnet = DenonTelnet;
+module.exports.HEOSDevice = HEOSDevice;
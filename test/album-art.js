@@ -0,0 +1,96 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const test = require('ava');
+const Jimp = require('jimp');
+const { startEnvironment, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+/**
+ * @param {HeosServer} heosServer
+ * @param {string} imageUrl
+ */
+const playWithArt = (heosServer, imageUrl) => {
+    heosServer.getPlayer(SPEAKER_PLAYER.pid).nowPlaying = {
+        type: 'song',
+        song: 'Song',
+        album: 'Album',
+        artist: 'Artist',
+        station: '',
+        image_url: imageUrl,
+        sid: 1024,
+        mid: '1',
+        qid: 1
+    };
+    heosServer.pushEvent('player_now_playing_changed', { pid: SPEAKER_PLAYER.pid });
+};
+
+test.beforeEach(async (t) => {
+    const image = await new Jimp(1200, 800, 0xff0000ff).getBufferAsync(Jimp.MIME_JPEG);
+    const requests = [];
+    t.context.failures = 0;
+    const artServer = http.createServer((request, response) => {
+        requests.push(request.url);
+        if(request.url !== '/cover.jpg' || t.context.failures > 0) {
+            t.context.failures -= 1;
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        response.end(image);
+    });
+    await new Promise((resolve) => artServer.listen(0, '127.0.0.1', resolve));
+    Object.assign(t.context, await startEnvironment(), {
+        artServer,
+        requests,
+        artUrl: `http://127.0.0.1:${artServer.address().port}`
+    });
+    t.context.speaker = await waitFor(() => t.context.manager.devices[SPEAKER_ID]);
+    t.context.artFile = path.join(t.context.adapter.mediaDir, SPEAKER_ID, 'album-art.png');
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+    if(t.context.artServer) {
+        t.context.artServer.close();
+    }
+});
+
+test.serial('serves the artwork scaled down as PNG', async (t) => {
+    const { heosServer, artUrl, artFile } = t.context;
+    playWithArt(heosServer, `${artUrl}/cover.jpg`);
+    await waitFor(() => fs.existsSync(artFile));
+    const image = await Jimp.read(artFile);
+    t.is(image.getMIME(), Jimp.MIME_PNG);
+    t.is(image.getWidth(), 600);
+    t.is(image.getHeight(), 400);
+});
+
+test.serial('loads each artwork once and removes it without artwork', async (t) => {
+    const { heosServer, artUrl, artFile, requests } = t.context;
+    playWithArt(heosServer, `${artUrl}/cover.jpg`);
+    await waitFor(() => fs.existsSync(artFile));
+    playWithArt(heosServer, '');
+    await waitFor(() => !fs.existsSync(artFile));
+    playWithArt(heosServer, `${artUrl}/cover.jpg`);
+    await waitFor(() => fs.existsSync(artFile));
+    t.deepEqual(requests, [ '/cover.jpg' ]);
+});
+
+test.serial('loads the artwork again after it failed', async (t) => {
+    const { heosServer, artUrl, artFile, requests, speaker } = t.context;
+    t.context.failures = 1;
+    playWithArt(heosServer, `${artUrl}/cover.jpg`);
+    await waitFor(() => requests.length === 1);
+    await waitFor(() => !speaker.albumArtUrl);
+    playWithArt(heosServer, `${artUrl}/cover.jpg`);
+    await waitFor(() => fs.existsSync(artFile));
+    t.is(requests.length, 2);
+});
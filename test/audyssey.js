@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('containmentAmount').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reads the Audyssey settings', (t) => {
+    const { avr } = t.context;
+    t.is(avr.findProperty('multEQ').value, 'AUDYSSEY');
+    t.false(avr.findProperty('dynamicEQ').value);
+    t.is(avr.findProperty('referenceLevelOffset').value, 0);
+    t.is(avr.findProperty('dynamicVolume').value, 'Off');
+    t.is(avr.findProperty('containmentAmount').value, 4);
+});
+
+test.serial('sets the Audyssey settings', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('multEQ', 'BYP.LR'), 'BYP.LR');
+    t.true(await avr.setProperty('dynamicEQ', true));
+    t.is(await avr.setProperty('referenceLevelOffset', 10), 10);
+    t.is(await avr.setProperty('containmentAmount', 7), 7);
+    t.like(denonServer.state, {
+        multEQ: 'BYP.LR',
+        dynamicEQ: 'ON',
+        referenceLevel: '10',
+        containmentAmount: '07'
+    });
+    await t.throwsAsync(avr.setProperty('referenceLevelOffset', 20), { message: /maximum/ });
+    await t.throwsAsync(avr.setProperty('referenceLevelOffset', 7), { message: /multiple/ });
+    t.deepEqual(denonServer.getReceived('PSREFLEV 7'), []);
+});
+
+test.serial('switches Dynamic Volume on and off', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('dynamicVolume', 'Medium'), 'Medium');
+    t.deepEqual(denonServer.getReceived('PSDYNVOL M'), [ 'PSDYNVOL MED' ]);
+    t.is(await avr.setProperty('dynamicVolume', 'Off'), 'Off');
+    t.is(denonServer.state.dynamicVolume, 'OFF');
+    await t.throwsAsync(avr.setProperty('dynamicVolume', 'MED'), { message: /enum/ });
+});
+
+test.serial('follows Audyssey changes made on the AVR', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('PSMULTEQ:FLAT');
+    denonServer.pushEvent('PSDYNVOL HEV');
+    denonServer.pushEvent('PSDYNEQ ON');
+    await waitFor(() => avr.findProperty('dynamicEQ').value);
+    t.is(avr.findProperty('multEQ').value, 'FLAT');
+    t.is(avr.findProperty('dynamicVolume').value, 'Heavy');
+    t.true(avr.findProperty('bass').readOnly);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    t.context.heosServer.browseTree = {
+        1024: [
+            {
+                name: 'Server',
+                container: 'yes',
+                cid: 'server',
+                playable: 'no'
+            }
+        ],
+        '1024/server': [
+            {
+                name: 'Album',
+                container: 'yes',
+                cid: 'album',
+                playable: 'yes',
+                type: 'album'
+            },
+            {
+                name: 'Song',
+                container: 'no',
+                mid: 'song',
+                playable: 'yes',
+                type: 'song'
+            }
+        ]
+    };
+    t.context.speaker = await waitFor(() => t.context.manager.devices[SPEAKER_ID]);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('browses into containers and announces the items', async (t) => {
+    const { speaker, manager } = t.context;
+    await performAction(speaker, 'browseSource', 'Local Music');
+    t.deepEqual(manager.descriptions[SPEAKER_ID].properties.browseItem.enum, [ 'Server' ]);
+    await speaker.setProperty('browseItem', 'Server');
+    t.is(speaker.findProperty('browseLocation').value, 'Local Music / Server');
+    t.deepEqual(manager.descriptions[SPEAKER_ID].properties.browseItem.enum, [ 'Album', 'Song' ]);
+    await performAction(speaker, 'browseBack');
+    t.deepEqual(manager.descriptions[SPEAKER_ID].properties.browseItem.enum, [ 'Server' ]);
+});
+
+test.serial('plays the selected item', async (t) => {
+    const { speaker, heosServer } = t.context;
+    await performAction(speaker, 'browseSource', 'Local Music');
+    await speaker.setProperty('browseItem', 'Server');
+    t.is(await speaker.setProperty('browseItem', 'Song'), 'Song');
+    await performAction(speaker, 'playBrowseItem', 'Add to End');
+    await performAction(speaker, 'playBrowsePath', {
+        path: 'Local Music/Server/Album',
+        mode: 'Play Now'
+    });
+    t.deepEqual(heosServer.getReceived('browse/add_to_queue'), [
+        {
+            pid: `${SPEAKER_PLAYER.pid}`,
+            sid: '1024',
+            cid: 'server',
+            mid: 'song',
+            aid: '3'
+        },
+        {
+            pid: `${SPEAKER_PLAYER.pid}`,
+            sid: '1024',
+            cid: 'album',
+            aid: '1'
+        }
+    ]);
+});
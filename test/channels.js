@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const startWithChannels = async (t, channels) => {
+    t.context = await startEnvironment({
+        denon: {
+            channels
+        }
+    });
+    await waitFor(() => t.context.denonServer.getReceived('CV?').length && !t.context.avr.reportedChannels);
+};
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('exposes the channels of the speaker configuration', async (t) => {
+    await startWithChannels(t);
+    const { avr } = t.context;
+    for(const channel of [ 'FL', 'FR', 'C', 'SW', 'SL', 'SR' ]) {
+        t.is(avr.findProperty(`channelLevel${channel}`).value, 0, channel);
+    }
+    t.is(avr.findProperty('channelLevelC').title, 'Center Level');
+    t.falsy(avr.findProperty('channelLevelSBL'));
+    t.is(t.context.manager.devices[avr.id], avr);
+});
+
+test.serial('sets channel levels in half dB steps', async (t) => {
+    await startWithChannels(t, [ 'FL', 'FR', 'C', 'SW', 'SW2' ]);
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('channelLevelC', 3.5), 3.5);
+    t.is(await avr.setProperty('channelLevelSW', -12), -12);
+    t.is(await avr.setProperty('channelLevelSW2', -0.5), -0.5);
+    t.like(denonServer.state.channels, {
+        C: '535',
+        SW: '38',
+        SW2: '495'
+    });
+    await t.throwsAsync(avr.setProperty('channelLevelFL', 12.5), { message: /maximum/ });
+});
+
+test.serial('follows channel level changes made on the AVR', async (t) => {
+    await startWithChannels(t);
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('CVSW UP');
+    await waitFor(() => avr.findProperty('channelLevelSW').value === 1);
+    t.pass();
+});
+
+test.serial('resets all channel levels', async (t) => {
+    await startWithChannels(t);
+    const { avr, denonServer } = t.context;
+    await avr.setProperty('channelLevelFL', 2);
+    await avr.setProperty('channelLevelSR', -4.5);
+    await performAction(avr, 'resetChannelLevels');
+    t.deepEqual(denonServer.getReceived('CVZRL'), [ 'CVZRL' ]);
+    t.is(avr.findProperty('channelLevelFL').value, 0);
+    t.is(avr.findProperty('channelLevelSR').value, 0);
+});
+
+test.serial('updates the channels when the speaker configuration changes', async (t) => {
+    await startWithChannels(t);
+    const { avr, denonServer, adapter } = t.context;
+    let announced = 0;
+    const handleDeviceAdded = adapter.handleDeviceAdded;
+    adapter.handleDeviceAdded = (device) => {
+        announced += 1;
+        handleDeviceAdded.call(adapter, device);
+    };
+    delete denonServer.state.channels.SL;
+    delete denonServer.state.channels.SR;
+    denonServer.state.channels.FHL = '50';
+    denonServer.state.channels.FHR = '50';
+    await avr.queryChannelLevels();
+    t.falsy(avr.findProperty('channelLevelSL'));
+    t.falsy(avr.findProperty('channelLevelSR'));
+    t.is(avr.findProperty('channelLevelFHL').value, 0);
+    t.is(announced, 1);
+
+    await avr.queryChannelLevels();
+    t.is(announced, 1);
+});
+
+test.serial('initializes the zones when the channel levels never end', async (t) => {
+    t.context = await startEnvironment({
+        denon: {
+            channelsEnd: false
+        }
+    });
+    const { avr, manager, denonServer } = t.context;
+    await waitFor(() => manager.devices[`${avr.id}Z2`]);
+    // The zone already exists when the AVR is initialized again
+    denonServer.dropConnections();
+    await waitFor(() => manager.connected[avr.id] === false);
+    const queries = denonServer.getReceived('Z2PSBAS ?').length;
+    await waitFor(() => denonServer.getReceived('Z2PSBAS ?').length > queries, 10000);
+    t.is(avr.findProperty('channelLevelFL').value, 0);
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER, AVR_DESCRIPTION } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('adds the manually configured AVR with its HEOS player', (t) => {
+    const { avr } = t.context;
+    t.true(avr.isAVR);
+    t.is(avr.name, AVR_PLAYER.name);
+    t.is(avr.avr.serial, AVR_DESCRIPTION.serialNumber);
+    t.is(avr.avr.model, AVR_DESCRIPTION.modelName);
+    t.true(t.context.manager.connected[avr.id]);
+});
+
+test.serial('reads the initial AVR state', (t) => {
+    const { avr } = t.context;
+    t.true(avr.findProperty('on').value);
+    t.is(avr.findProperty('volume').value, 50);
+    t.false(avr.findProperty('muted').value);
+    t.is(avr.findProperty('avrSource').value, 'CD');
+    t.is(avr.findProperty('surroundMode').value, 'STEREO');
+    t.false(avr.findProperty('audysseyLFC').value);
+    t.is(avr.findProperty('tunerFrequency').value, 105.7);
+    t.is(avr.findProperty('preset').value, 1);
+    t.is(avr.findProperty('band').value, 'FM');
+    t.is(avr.findProperty('audioOutput').value, 'Speaker');
+});
+
+test.serial('keeps the AVR volume instead of the HEOS volume', async (t) => {
+    const { avr, heosServer } = t.context;
+    heosServer.pushEvent('player_volume_changed', {
+        pid: AVR_PLAYER.pid,
+        level: 5,
+        mute: 'on'
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    t.is(avr.findProperty('volume').value, 50);
+    t.false(avr.findProperty('muted').value);
+});
+
+test.serial('sets the volume in half steps', async (t) => {
+    const { avr, denonServer } = t.context;
+    const value = await avr.setProperty('volume', 35.5);
+    t.is(value, 35.5);
+    t.deepEqual(denonServer.getReceived('MV3'), [ 'MV355' ]);
+    t.is(denonServer.state.volume, '355');
+});
+
+test.serial('sets the source, surround mode and mute state', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('avrSource', 'Tuner'), 'Tuner');
+    t.is(await avr.setProperty('surroundMode', 'MCH STEREO'), 'MCH STEREO');
+    t.true(await avr.setProperty('muted', true));
+    t.true(await avr.setProperty('audysseyLFC', true));
+    t.is(denonServer.state.source, 'TUNER');
+    t.is(denonServer.state.surround, 'MCH STEREO');
+    t.is(denonServer.state.muted, 'ON');
+    t.is(denonServer.state.lfc, 'ON');
+});
+
+test.serial('tunes the tuner', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('tunerFrequency', 98.3), 98.3);
+    t.is(await avr.setProperty('preset', 12), 12);
+    t.is(await avr.setProperty('band', 'AM'), 'AM');
+    t.is(denonServer.state.frequency, '009830');
+    t.is(denonServer.state.preset, '12');
+    t.is(denonServer.state.band, 'AM');
+});
+
+test.serial('rejects values the AVR does not confirm', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.commands.unshift([ /^SIGAME$/, () => [] ]);
+    await t.throwsAsync(avr.setProperty('avrSource', 'Game'), { message: /No response/ });
+    t.is(avr.findProperty('avrSource').value, 'CD');
+});
+
+test.serial('rejects values outside of the allowed range', async (t) => {
+    const { avr, denonServer } = t.context;
+    await t.throwsAsync(avr.setProperty('volume', 99), { message: /maximum/ });
+    await t.throwsAsync(avr.setProperty('avrSource', 'CASSETTE'), { message: /enum/ });
+    t.deepEqual(denonServer.getReceived('MV9'), []);
+});
+
+test.serial('follows changes made on the AVR', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('MVUP');
+    denonServer.pushEvent('SIBD');
+    denonServer.pushEvent('MUON');
+    await waitFor(() => avr.findProperty('muted').value);
+    t.is(avr.findProperty('volume').value, 51);
+    t.is(avr.findProperty('avrSource').value, 'Blu-ray');
+});
+
+test.serial('turns off with the main zone and on again', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.false(await avr.setProperty('on', false));
+    t.is(denonServer.state.main, 'OFF');
+    denonServer.pushEvent('PWSTANDBY');
+    await waitFor(() => denonServer.state.power === 'STANDBY');
+    t.true(await avr.setProperty('on', true));
+    t.is(denonServer.state.main, 'ON');
+});
+
+test.serial('spaces out commands', async (t) => {
+    const { avr, denonServer } = t.context;
+    await Promise.all([
+        avr.setProperty('volume', 40),
+        avr.setProperty('muted', true),
+        avr.setProperty('avrSource', 'DVD')
+    ]);
+    const times = denonServer.received.slice(-3).map(({ time }) => time);
+    t.true(times[1] - times[0] >= 45);
+    t.true(times[2] - times[1] >= 45);
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('ava');
+const DenonServer = require('./helpers/denon-server');
+const HeosServer = require('./helpers/heos-server');
+const { DescriptionServer, SsdpResponder } = require('./helpers/ssdp');
+const { FakeAddonManager, createAdapter, stopAdapter, waitFor } = require('./helpers/gateway');
+const { AVR_PLAYER, SPEAKER_PLAYER, AVR_DESCRIPTION } = require('./helpers/environment');
+
+test.afterEach.always(async (t) => {
+    if(t.context.adapter) {
+        await stopAdapter(t.context.adapter, t.context.manager);
+    }
+    if(t.context.responder) {
+        t.context.responder.stop();
+    }
+    for(const server of t.context.servers || []) {
+        await server.close();
+    }
+});
+
+test.serial('discovers AVRs via SSDP', async (t) => {
+    const denonServer = new DenonServer();
+    const heosServer = new HeosServer({
+        players: [
+            SPEAKER_PLAYER,
+            AVR_PLAYER
+        ]
+    });
+    const descriptionServer = new DescriptionServer(AVR_DESCRIPTION);
+    t.context.servers = [
+        denonServer,
+        heosServer,
+        descriptionServer
+    ];
+    await Promise.all(t.context.servers.map((server) => server.listen()));
+    t.context.responder = new SsdpResponder(descriptionServer.location, AVR_DESCRIPTION.UDN);
+    await t.context.responder.start();
+
+    t.context.manager = new FakeAddonManager();
+    t.context.adapter = createAdapter(t.context.manager, {
+        telnetPort: denonServer.port,
+        discovery: true
+    });
+    const avr = await waitFor(() => {
+        const device = t.context.manager.devices[`heos-${AVR_PLAYER.pid}`];
+        return device && device.isAVR && device;
+    }, 10000);
+    t.is(avr.avr.model, AVR_DESCRIPTION.modelName);
+    t.is(avr.avr.uuid, AVR_DESCRIPTION.UDN);
+    t.true(descriptionServer.requests > 0);
+    await waitFor(() => denonServer.getReceived('PW?').length);
+    const speaker = await waitFor(() => t.context.manager.devices[`heos-${SPEAKER_PLAYER.pid}`]);
+    t.falsy(speaker.isAVR);
+});
+
+test.serial('asks to enable HEOS when a manually configured AVR has no HEOS', async (t) => {
+    const descriptionServer = new DescriptionServer(AVR_DESCRIPTION);
+    t.context.servers = [ descriptionServer ];
+    await descriptionServer.listen();
+    t.context.manager = new FakeAddonManager();
+    t.context.adapter = createAdapter(t.context.manager, {
+        config: {
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'AVR'
+                }
+            ]
+        },
+        descriptionPort: descriptionServer.port
+    });
+    const prompt = await waitFor(() => t.context.manager.pairingPrompts[0]);
+    t.is(prompt, `Please enable HEOS for AVR at 127.0.0.1 (${AVR_DESCRIPTION.friendlyName})`);
+});
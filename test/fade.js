@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+
+/**
+ * @param {object} denonServer
+ * @param {string} [prefix='MV']
+ * @returns {string[]} Received commands setting the volume.
+ */
+const getVolumeCommands = (denonServer, prefix = 'MV') => denonServer.getReceived(prefix)
+    .filter((command) => /^\d/.test(command.slice(prefix.length)));
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('fades the volume of the AVR and turns it off', async (t) => {
+    const { avr, denonServer } = t.context;
+    await performAction(avr, 'fadeVolume', {
+        volume: 40,
+        duration: 2,
+        turnOff: true
+    });
+    t.deepEqual(getVolumeCommands(denonServer), [ 'MV475', 'MV45', 'MV425', 'MV40' ]);
+    const times = denonServer.received
+        .filter(({ command }) => /^MV\d/.test(command))
+        .map(({ time }) => time);
+    t.true(times[times.length - 1] - times[0] >= 1400);
+    t.deepEqual(denonServer.getReceived('ZMOFF'), [ 'ZMOFF' ]);
+    t.is(avr.findProperty('volume').value, 40);
+});
+
+test.serial('accepts fades requested through the gateway', async (t) => {
+    const { avr, denonServer } = t.context;
+    await avr.requestAction('1', 'fadeVolume', {
+        volume: 49,
+        duration: 0.5
+    });
+    await waitFor(() => denonServer.state.volume === '49');
+    t.is(avr.findProperty('volume').value, 49);
+});
+
+test.serial('fades the volume of a zone', async (t) => {
+    const { manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    await performAction(zone, 'fadeVolume', {
+        volume: 43,
+        duration: 1
+    });
+    t.deepEqual(getVolumeCommands(denonServer, 'Z2'), [ 'Z2415', 'Z243' ]);
+    t.is(denonServer.state.zones.Z2.volume, '43');
+    t.deepEqual(denonServer.getReceived('Z2OFF'), []);
+});
+
+test.serial('fades HEOS players in steps and stops playback', async (t) => {
+    const { manager, heosServer } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    await waitFor(() => speaker.findProperty('volume').value === 20);
+    await performAction(speaker, 'fadeVolume', {
+        volume: 10,
+        duration: 1.5,
+        turnOff: true
+    });
+    t.deepEqual(heosServer.getReceived('player/set_volume').map(({ level }) => level), [ '17', '13', '10' ]);
+    t.is(heosServer.getPlayer(SPEAKER_PLAYER.pid).state, 'stop');
+});
+
+test.serial('stops fading when the volume is changed manually', async (t) => {
+    const { avr, denonServer } = t.context;
+    const fade = performAction(avr, 'fadeVolume', {
+        volume: 20,
+        duration: 5,
+        turnOff: true
+    });
+    await waitFor(() => getVolumeCommands(denonServer).length === 2);
+    denonServer.pushEvent('MV60');
+    await fade;
+    t.deepEqual(getVolumeCommands(denonServer), [ 'MV47', 'MV44' ]);
+    t.is(avr.findProperty('volume').value, 60);
+    t.deepEqual(denonServer.getReceived('ZMOFF'), []);
+});
+
+test.serial('stops fading when the volume is set back to a level the fade passed', async (t) => {
+    const { avr, denonServer } = t.context;
+    const fade = performAction(avr, 'fadeVolume', {
+        volume: 20,
+        duration: 5
+    });
+    await waitFor(() => getVolumeCommands(denonServer).length === 2);
+    denonServer.pushEvent('MV47');
+    await fade;
+    t.deepEqual(getVolumeCommands(denonServer), [ 'MV47', 'MV44' ]);
+    t.is(avr.findProperty('volume').value, 47);
+});
@@ -0,0 +1,692 @@
+'use strict';
+
+const net = require('net');
+
+const TOGGLE = [
+    'ON',
+    'OFF'
+];
+
+const INPUTS = {
+    PHONO: 'Phono',
+    CD: 'CD',
+    DVD: 'DVD',
+    BD: 'Blu-ray',
+    TV: 'TV Audio',
+    'SAT/CBL': 'CBL/SAT',
+    MPLAY: 'Media Player',
+    GAME: 'Game',
+    TUNER: 'Tuner',
+    AUX1: 'AUX1',
+    AUX2: 'AUX2',
+    NET: 'HEOS Music',
+    BT: 'Bluetooth'
+};
+
+const PRESET_COUNT = 56;
+
+const RESOLUTIONS = [
+    '48P',
+    '10I',
+    '72P',
+    '10P',
+    '10P24',
+    '4K',
+    '4KF',
+    '8K',
+    'AUTO'
+];
+
+/**
+ * Stand-in for the telnet control port of a Denon AVR. Answers queries with the
+ * current state, echoes changed state to all clients like the AVR does and can
+ * emit unsolicited events, as if the front panel or the IR remote were used.
+ */
+class DenonServer {
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.zones=['Z2']] - Additional zones the simulated model has.
+     * @param {string[]} [options.channels] - Channels of the speaker configuration.
+     * @param {boolean} [options.channelsEnd=true] - Whether the model ends the channel levels with CVEND.
+     * @param {Object<string, string>} [options.inputNames] - Inputs renamed by the user.
+     * @param {string[]} [options.deletedInputs] - Inputs deleted by the user.
+     * @param {object} [options.video] - Video settings by command, the model doesn't answer others.
+     * @param {Object<string, string>} [options.presets] - Names of the stored presets by two digit number.
+     * @param {number} [options.presetCount=PRESET_COUNT] - Presets the model reports, the protocol lists 56.
+     * @param {string} [options.dabChannel] - Channel of the DAB tuner, models without DAB don't answer.
+     * @param {number} [options.hdMulticast] - HD Radio multicast channel, models without HD Radio don't answer.
+     * @param {boolean} [options.fragment=false] - Split responses into small chunks.
+     */
+    constructor({
+        zones = [ 'Z2' ],
+        channels = [
+            'FL',
+            'FR',
+            'C',
+            'SW',
+            'SL',
+            'SR'
+        ],
+        inputNames = {},
+        deletedInputs = [],
+        video = {
+            PV: 'OFF',
+            VSSCH: '10P',
+            VSASP: 'FUL',
+            VSMONI: '1'
+        },
+        presets = {
+            '01': 'BBC Radio 1',
+            '02': 'Jazz FM'
+        },
+        presetCount = PRESET_COUNT,
+        dabChannel,
+        hdMulticast,
+        channelsEnd = true,
+        fragment = false
+    } = {}) {
+        this.fragment = fragment;
+        this.channelsEnd = channelsEnd;
+        this.presetCount = presetCount;
+        this.sockets = new Set();
+        /**
+         * @type {{ command: string, time: number }[]}
+         */
+        this.received = [];
+        this.state = {
+            power: 'ON',
+            main: 'ON',
+            volume: '50',
+            maxVolume: '98',
+            volumeLimit: 'OFF',
+            muted: 'OFF',
+            source: 'CD',
+            surround: 'STEREO',
+            lfc: 'OFF',
+            frequency: '010570',
+            stationName: 'RADIO',
+            preset: '01',
+            band: 'FM',
+            presets: Object.assign({}, presets),
+            quickSelect: '0',
+            quickSelects: {
+                1: {
+                    source: 'BD',
+                    surround: 'DOLBY DIGITAL',
+                    volume: '45'
+                }
+            },
+            presetMemory: false,
+            dabChannel,
+            hdMulticast,
+            bluetoothOut: 'DIS',
+            toneControl: 'ON',
+            bass: '50',
+            treble: '50',
+            loudness: 'ON',
+            multEQ: 'AUDYSSEY',
+            dynamicEQ: 'OFF',
+            referenceLevel: '0',
+            dynamicVolume: 'OFF',
+            containmentAmount: '04',
+            sleep: 'OFF',
+            autoStandby: '30M',
+            eco: 'AUTO',
+            channels: {},
+            inputs: Object.fromEntries(Object.entries(INPUTS).map(([ code, name ]) => [ code, {
+                name: inputNames[code] || name,
+                used: !deletedInputs.includes(code)
+            } ])),
+            video: Object.assign({}, video),
+            signal: {
+                SSINFAISSIG: '02',
+                SSINFAISFSV: '48K',
+                SSINFAISCH: '2.0',
+                SSINFSIGRES: '1080p60',
+                SSINFSIGHDR: 'SDR'
+            },
+            zones: {}
+        };
+        for(const channel of channels) {
+            this.state.channels[channel] = '50';
+        }
+        for(const zone of zones) {
+            this.state.zones[zone] = {
+                power: 'OFF',
+                input: 'SOURCE',
+                volume: '40',
+                muted: 'OFF',
+                bass: '50',
+                treble: '50',
+                sleep: 'OFF',
+                autoStandby: 'OFF',
+                quickSelect: '0',
+                quickSelects: {}
+            };
+        }
+        /**
+         * Handlers by command pattern, the first matching one is used.
+         *
+         * @type {[RegExp, function(RegExpMatchArray): string[]][]}
+         */
+        this.commands = [
+            [ /^PW\?$/, () => [ `PW${this.state.power}` ] ],
+            [ /^PW(ON|STANDBY)$/, ([ , value ]) => {
+                this.state.power = value;
+                if(value === 'ON') {
+                    return [ 'PWON' ];
+                }
+                // Standby turns off all zones
+                this.state.main = 'OFF';
+                for(const zone of Object.values(this.state.zones)) {
+                    zone.power = 'OFF';
+                }
+                return [
+                    'PWSTANDBY',
+                    'ZMOFF',
+                    ...Object.keys(this.state.zones).map((zoneId) => `${zoneId}OFF`)
+                ];
+            } ],
+            [ /^ZM\?$/, () => [ `ZM${this.state.main}` ] ],
+            [ /^ZM(ON|OFF)$/, ([ , value ]) => {
+                this.state.main = value;
+                if(value === 'ON') {
+                    this.state.power = 'ON';
+                }
+                return [ `ZM${value}` ];
+            } ],
+            [ /^MV\?$/, () => this.getVolume() ],
+            [ /^MV(UP|DOWN)$/, ([ , direction ]) => {
+                const volume = Number.parseInt(this.state.volume.slice(0, 2)) + (direction === 'UP' ? 1 : -1);
+                this.state.volume = `${volume}`.padStart(2, '0');
+                return this.getVolume();
+            } ],
+            [ /^MV(\d{2,3})$/, ([ , value ]) => {
+                this.state.volume = value;
+                return this.getVolume();
+            } ],
+            [ /^MU\?$/, () => [ `MU${this.state.muted}` ] ],
+            [ /^MU(ON|OFF)$/, ([ , value ]) => {
+                this.state.muted = value;
+                return [ `MU${value}` ];
+            } ],
+            [ /^SSFUN ?\?$/, () => [
+                ...Object.entries(this.state.inputs).map(([ code, { name } ]) => `SSFUN${code} ${name}`),
+                'SSFUN END'
+            ] ],
+            [ /^SSSOD ?\?$/, () => [
+                ...Object.entries(this.state.inputs).map(([ code, { used } ]) => `SSSOD${code} ${used ? 'USE' : 'DEL'}`),
+                'SSSOD END'
+            ] ],
+            [ /^(SSINF[A-Z]+) \?$/, ([ , info ]) => (this.state.signal.hasOwnProperty(info) ? [ `${info} ${this.state.signal[info]}` ] : []) ],
+            [ /^SI\?$/, () => [ `SI${this.state.source}` ] ],
+            [ /^SI(.+)$/, ([ , value ]) => {
+                this.state.source = value;
+                return [ `SI${value}` ];
+            } ],
+            [ /^MSQUICK ?\?$/, () => [ `MSQUICK${this.state.quickSelect}` ] ],
+            [ /^MSQUICK([1-5])( MEMORY)?$/, ([ , slot, memory ]) => {
+                if(memory) {
+                    this.state.quickSelects[slot] = {
+                        source: this.state.source,
+                        surround: this.state.surround,
+                        volume: this.state.volume
+                    };
+                    this.state.quickSelect = slot;
+                    return [];
+                }
+                Object.assign(this.state, this.state.quickSelects[slot]);
+                this.state.quickSelect = slot;
+                return [
+                    `MSQUICK${slot}`,
+                    `SI${this.state.source}`,
+                    `MS${this.state.surround}`,
+                    ...this.getVolume()
+                ];
+            } ],
+            [ /^MS\?$/, () => [ `MS${this.state.surround}` ] ],
+            [ /^MS(.+)$/, ([ , value ]) => {
+                this.state.surround = value;
+                return [ `MS${value}` ];
+            } ],
+            [ /^PSLFC ?\?$/, () => [ `PSLFC ${this.state.lfc}` ] ],
+            [ /^PSLFC (ON|OFF)$/, ([ , value ]) => {
+                this.state.lfc = value;
+                return [ `PSLFC ${value}` ];
+            } ],
+            ...this.getSettingCommands('SSVCTZMALIM', 'volumeLimit', [
+                '60',
+                '70',
+                '80',
+                'OFF'
+            ]),
+            ...this.getSettingCommands('PSTONE CTRL', 'toneControl', TOGGLE),
+            ...this.getSettingCommands('PSLOM', 'loudness', TOGGLE),
+            ...this.getSettingCommands('PSMULTEQ', 'multEQ', [
+                'AUDYSSEY',
+                'BYP\\.LR',
+                'FLAT',
+                'MANUAL',
+                'OFF'
+            ], ':'),
+            ...this.getSettingCommands('PSDYNEQ', 'dynamicEQ', TOGGLE),
+            ...this.getSettingCommands('PSREFLEV', 'referenceLevel', [
+                '0',
+                '5',
+                '10',
+                '15'
+            ]),
+            ...this.getSettingCommands('PSDYNVOL', 'dynamicVolume', [
+                'HEV',
+                'MED',
+                'LIT',
+                'OFF'
+            ]),
+            ...this.getSettingCommands('PSCNTAMT', 'containmentAmount', [ '0[1-7]' ]),
+            ...this.getToneCommands('PSBAS', this.state, 'bass'),
+            ...this.getToneCommands('PSTRE', this.state, 'treble'),
+            [ /^CV\?$/, () => this.getChannelLevels() ],
+            [ /^CVZRL$/, () => {
+                for(const channel of Object.keys(this.state.channels)) {
+                    this.state.channels[channel] = '50';
+                }
+                return [];
+            } ],
+            [ /^CV([A-Z0-9]+) (UP|DOWN|\d{2,3})$/, ([ , channel, value ]) => {
+                if(!this.state.channels.hasOwnProperty(channel)) {
+                    return [];
+                }
+                if(value === 'UP' || value === 'DOWN') {
+                    const level = Number.parseInt(this.state.channels[channel].slice(0, 2)) + (value === 'UP' ? 1 : -1);
+                    value = `${level}`;
+                }
+                const level = Number.parseInt(value.slice(0, 2));
+                if(level < 38 || level > 62 || (level === 62 && value.length > 2)) {
+                    return [];
+                }
+                this.state.channels[channel] = value;
+                return [ `CV${channel} ${value}` ];
+            } ],
+            ...this.getVideoCommands('PV', '', [ 'OFF', 'STD', 'MOV', 'VVD', 'STM', 'CTM', 'DAY', 'NGT' ]),
+            ...this.getVideoCommands('VSSCH', ' ', RESOLUTIONS),
+            ...this.getVideoCommands('VSSC', ' ', RESOLUTIONS),
+            ...this.getVideoCommands('VSASP', ' ', [ 'NRM', 'FUL' ]),
+            ...this.getVideoCommands('VSMONI', ' ', [ 'AUTO', '1', '2' ]),
+            [ /^SLP\?$/, () => [ `SLP${this.state.sleep}` ] ],
+            [ /^SLP(OFF|\d{3})$/, ([ , value ]) => {
+                this.state.sleep = value;
+                return [ `SLP${value}` ];
+            } ],
+            [ /^STBY\?$/, () => [ `STBY${this.state.autoStandby}` ] ],
+            [ /^STBY(15M|30M|60M|OFF)$/, ([ , value ]) => {
+                this.state.autoStandby = value;
+                return [ `STBY${value}` ];
+            } ],
+            [ /^ECO\?$/, () => [ `ECO${this.state.eco}` ] ],
+            [ /^ECO(ON|AUTO|OFF)$/, ([ , value ]) => {
+                this.state.eco = value;
+                return [ `ECO${value}` ];
+            } ],
+            [ /^TFANNAME\?$/, () => [ `TFANNAME${this.state.stationName}` ] ],
+            [ /^TFAN\?$/, () => [ `TFAN${this.state.frequency}` ] ],
+            [ /^TFAN(\d{6})$/, ([ , value ]) => {
+                this.state.frequency = value;
+                return [ `TFAN${value}` ];
+            } ],
+            [ /^TPAN\?$/, () => [ `TPAN${this.state.preset}` ] ],
+            [ /^TPAN(\d{2})$/, ([ , value ]) => {
+                this.state.preset = value;
+                if(this.state.presetMemory) {
+                    this.state.presetMemory = false;
+                    this.state.presets[value] = this.state.stationName;
+                }
+                return [ `TPAN${value}` ];
+            } ],
+            [ /^TPANMEM$/, () => {
+                this.state.presetMemory = true;
+                return [];
+            } ],
+            [ /^OPTPN \?$/, () => Array.from({ length: this.presetCount }, (value, index) => {
+                const preset = `${index + 1}`.padStart(2, '0');
+                return `OPTPN${preset} ${this.state.presets[preset] || ''}`.trim();
+            }) ],
+            [ /^TMAN\?$/, () => [ `TMAN${this.state.band}` ] ],
+            [ new RegExp(`^TMAN(AM|FM${dabChannel ? '|DAB' : ''})$`), ([ , value ]) => {
+                this.state.band = value;
+                return [ `TMAN${value}` ];
+            } ],
+            [ /^DACH \?$/, () => (this.state.dabChannel ? [ `DACH${this.state.dabChannel}` ] : []) ],
+            [ /^DACH(\d+[A-Z])$/, ([ , value ]) => {
+                if(!this.state.dabChannel || this.state.band !== 'DAB') {
+                    return [];
+                }
+                this.state.dabChannel = value;
+                return [ `DACH${value}` ];
+            } ],
+            [ /^HDMLT \?$/, () => (this.state.hdMulticast ? [ `HDMLT${this.state.hdMulticast}` ] : []) ],
+            [ /^HDMLT([1-8])$/, ([ , value ]) => {
+                if(!this.state.hdMulticast) {
+                    return [];
+                }
+                this.state.hdMulticast = Number.parseInt(value);
+                return [ `HDMLT${value}` ];
+            } ],
+            [ /^OPTXM\?$/, () => [ `OPTXM ${this.state.bluetoothOut}` ] ],
+            [ /^(Z\d)(.*)$/, ([ , zone, command ]) => this.handleZoneCommand(zone, command) ]
+        ];
+    }
+
+    /**
+     * Commands for a setting that is queried with "CMD ?" and set with "CMD VALUE".
+     *
+     * @param {string} command
+     * @param {string} key - Key of the setting in the state.
+     * @param {string[]} values - Patterns of valid values.
+     * @param {string} [separator=' '] - Between command and value.
+     * @returns {[RegExp, function(RegExpMatchArray): string[]][]}
+     */
+    getSettingCommands(command, key, values, separator = ' ') {
+        return [
+            [ new RegExp(`^${command}${separator}? ?\\?$`), () => [ `${command}${separator}${this.state[key]}` ] ],
+            [ new RegExp(`^${command}${separator}(${values.join('|')})$`), ([ , value ]) => {
+                this.state[key] = value;
+                return [ `${command}${separator}${value}` ];
+            } ]
+        ];
+    }
+
+    /**
+     * Commands for a video setting, which are ignored if the model doesn't support it.
+     *
+     * @param {string} command
+     * @param {string} querySeparator - Between command and "?".
+     * @param {string[]} values
+     * @returns {[RegExp, function(RegExpMatchArray): string[]][]}
+     */
+    getVideoCommands(command, querySeparator, values) {
+        const { video } = this.state;
+        return [
+            [ new RegExp(`^${command}${querySeparator}\\?$`), () => (video.hasOwnProperty(command) ? [ `${command}${video[command]}` ] : []) ],
+            [ new RegExp(`^${command}(${values.join('|')})$`), ([ , value ]) => {
+                if(!video.hasOwnProperty(command)) {
+                    return [];
+                }
+                video[command] = value;
+                return [ `${command}${value}` ];
+            } ]
+        ];
+    }
+
+    /**
+     * Commands for a tone level from 44 to 56, which can be changed by steps.
+     *
+     * @param {string} command - Including the zone prefix.
+     * @param {object} state - State of the zone.
+     * @param {string} key
+     * @returns {[RegExp, function(RegExpMatchArray): string[]][]}
+     */
+    getToneCommands(command, state, key) {
+        return [
+            [ new RegExp(`^${command} \\?$`), () => [ `${command} ${state[key]}` ] ],
+            [ new RegExp(`^${command} (UP|DOWN|\\d{2})$`), ([ , value ]) => {
+                let level = Number.parseInt(state[key]);
+                if(value === 'UP') {
+                    level += 1;
+                }
+                else if(value === 'DOWN') {
+                    level -= 1;
+                }
+                else {
+                    level = Number.parseInt(value);
+                }
+                if(level < 44 || level > 56) {
+                    return [];
+                }
+                state[key] = `${level}`;
+                return [ `${command} ${state[key]}` ];
+            } ]
+        ];
+    }
+
+    getChannelLevels() {
+        return [
+            ...Object.entries(this.state.channels).map(([ channel, level ]) => `CV${channel} ${level}`),
+            ...(this.channelsEnd ? [ 'CVEND' ] : [])
+        ];
+    }
+
+    getVolume() {
+        return [
+            `MV${this.state.volume}`,
+            `MVMAX ${this.state.maxVolume}`
+        ];
+    }
+
+    /**
+     * @param {string} zoneId
+     * @param {string} command - Command without the zone prefix.
+     * @returns {string[]}
+     */
+    handleZoneCommand(zoneId, command) {
+        const zone = this.state.zones[zoneId];
+        if(!zone) {
+            // Models without the zone don't answer at all
+            return [];
+        }
+        if(command === '?') {
+            return [
+                `${zoneId}${zone.input}`,
+                `${zoneId}${zone.power}`,
+                `${zoneId}${zone.volume}`
+            ];
+        }
+        for(const [ pattern, handler ] of [
+            ...this.getToneCommands(`${zoneId}PSBAS`, zone, 'bass'),
+            ...this.getToneCommands(`${zoneId}PSTRE`, zone, 'treble')
+        ]) {
+            const match = `${zoneId}${command}`.match(pattern);
+            if(match) {
+                return handler(match);
+            }
+        }
+        if(command === 'QUICK ?') {
+            return [ `${zoneId}QUICK${zone.quickSelect}` ];
+        }
+        const quickSelect = command.match(/^QUICK([1-5])( MEMORY)?$/);
+        if(quickSelect) {
+            const [ , slot, memory ] = quickSelect;
+            zone.quickSelect = slot;
+            if(memory) {
+                zone.quickSelects[slot] = {
+                    input: zone.input,
+                    volume: zone.volume
+                };
+                return [];
+            }
+            Object.assign(zone, zone.quickSelects[slot]);
+            return [
+                `${zoneId}QUICK${slot}`,
+                `${zoneId}${zone.input}`,
+                `${zoneId}${zone.volume}`
+            ];
+        }
+        if(command === 'SLP?') {
+            return [ `${zoneId}SLP${zone.sleep}` ];
+        }
+        if(/^SLP(OFF|\d{3})$/.test(command)) {
+            zone.sleep = command.slice(3);
+            return [ `${zoneId}${command}` ];
+        }
+        if(command === 'STBY?') {
+            return [ `${zoneId}STBY${zone.autoStandby}` ];
+        }
+        if(/^STBY(2H|4H|8H|OFF)$/.test(command)) {
+            zone.autoStandby = command.slice(4);
+            return [ `${zoneId}${command}` ];
+        }
+        if(command === 'MU?') {
+            return [ `${zoneId}MU${zone.muted}` ];
+        }
+        if(command.startsWith('MU') && TOGGLE.includes(command.slice(2))) {
+            zone.muted = command.slice(2);
+            return [ `${zoneId}MU${zone.muted}` ];
+        }
+        if(TOGGLE.includes(command)) {
+            zone.power = command;
+            return [ `${zoneId}${command}` ];
+        }
+        if(/^\d{2,3}$/.test(command)) {
+            zone.volume = command;
+            return [ `${zoneId}${command}` ];
+        }
+        if(/^[A-Z][A-Z0-9/]+$/.test(command)) {
+            zone.input = command;
+            return [ `${zoneId}${command}` ];
+        }
+        return [];
+    }
+
+    /**
+     * @param {string} command
+     * @returns {string[]} Lines the AVR answers with.
+     */
+    handleCommand(command) {
+        for(const [ pattern, handler ] of this.commands) {
+            const match = command.match(pattern);
+            if(match) {
+                return handler(match);
+            }
+        }
+        return [];
+    }
+
+    /**
+     * @param {number} [port=0]
+     * @returns {Promise<number>} The port the server listens on.
+     */
+    listen(port = 0) {
+        this.server = net.createServer((socket) => this.handleConnection(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * @param {net.Socket} socket
+     */
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.setEncoding('ascii');
+        let buffer = '';
+        socket.on('data', (data) => {
+            buffer += data;
+            const commands = buffer.split('\r');
+            buffer = commands.pop();
+            for(const command of commands) {
+                this.received.push({
+                    command,
+                    time: Date.now()
+                });
+                this.send(this.handleCommand(command));
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+        });
+    }
+
+    /**
+     * Send lines to all connected clients.
+     *
+     * @param {string[]} lines
+     */
+    send(lines) {
+        if(!lines.length) {
+            return;
+        }
+        const data = lines.map((line) => `${line}\r`).join('');
+        for(const socket of this.sockets) {
+            if(this.fragment) {
+                for(let index = 0; index < data.length; index += 3) {
+                    socket.write(data.slice(index, index + 3));
+                }
+            }
+            else {
+                socket.write(data);
+            }
+        }
+    }
+
+    /**
+     * Apply a command as if it was triggered on the AVR itself and notify clients.
+     *
+     * @param {string} command
+     */
+    pushEvent(command) {
+        this.send(this.handleCommand(command));
+    }
+
+    /**
+     * Change the incoming signal and notify clients, like the AVR does once it detected it.
+     *
+     * @param {Object<string, string>} changes - Values by SSINF command.
+     */
+    changeSignal(changes) {
+        Object.assign(this.state.signal, changes);
+        this.send(Object.entries(changes).map(([ info, value ]) => `${info} ${value}`));
+    }
+
+    /**
+     * Change an input in the setup menu of the AVR and notify clients.
+     *
+     * @param {string} code
+     * @param {object} changes
+     * @param {string} [changes.name]
+     * @param {boolean} [changes.used]
+     */
+    changeInput(code, changes) {
+        const input = this.state.inputs[code];
+        Object.assign(input, changes);
+        if(changes.hasOwnProperty('name')) {
+            this.send([ `SSFUN${code} ${input.name}` ]);
+        }
+        if(changes.hasOwnProperty('used')) {
+            this.send([ `SSSOD${code} ${input.used ? 'USE' : 'DEL'}` ]);
+        }
+    }
+
+    /**
+     * @param {string} prefix
+     * @returns {string[]} Received commands starting with the prefix.
+     */
+    getReceived(prefix = '') {
+        return this.received.map(({ command }) => command).filter((command) => command.startsWith(prefix));
+    }
+
+    /**
+     * Drop all clients, like the AVR does when it restarts.
+     */
+    dropConnections() {
+        for(const socket of this.sockets) {
+            socket.destroy();
+        }
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise((resolve) => {
+            if(!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = DenonServer;
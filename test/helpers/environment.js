@@ -0,0 +1,109 @@
+'use strict';
+
+const DenonServer = require('./denon-server');
+const HeosServer = require('./heos-server');
+const { DescriptionServer } = require('./ssdp');
+const { FakeAddonManager, createAdapter, stopAdapter, waitFor, waitForIdle } = require('./gateway');
+
+const AVR_PLAYER = {
+    name: 'Living Room',
+    pid: 1,
+    model: 'Denon AVR-X2700H',
+    version: '3.34.410',
+    ip: '127.0.0.1',
+    network: 'wired',
+    lineout: 0,
+    serial: 'BBW36190123456'
+};
+
+const SPEAKER_PLAYER = {
+    name: 'Kitchen',
+    pid: 2,
+    model: 'HEOS 1',
+    version: '3.34.410',
+    ip: '127.0.0.2',
+    network: 'wifi',
+    lineout: 0,
+    serial: 'AMZ18221234567'
+};
+
+const AVR_DESCRIPTION = {
+    friendlyName: AVR_PLAYER.name,
+    modelName: 'AVR-X2700H',
+    serialNumber: AVR_PLAYER.serial,
+    UDN: 'uuid:5f9ec1b3-ed59-1900-4530-0005cd000001'
+};
+
+/**
+ * Start simulated devices and the adapter, configured to connect to them.
+ *
+ * @param {object} [options]
+ * @param {object} [options.denon] - Options for the DenonServer.
+ * @param {object} [options.heos] - Options for the HeosServer.
+ * @param {object} [options.config] - Add-on config, defaults to the simulated AVR as manual host.
+ * @param {boolean} [options.waitForAVR=true] - Wait until the AVR is fully initialized.
+ */
+const startEnvironment = async ({ denon, heos, config, waitForAVR = true } = {}) => {
+    const denonServer = new DenonServer(denon);
+    const heosServer = new HeosServer(Object.assign({
+        players: [
+            AVR_PLAYER,
+            SPEAKER_PLAYER
+        ]
+    }, heos));
+    const descriptionServer = new DescriptionServer(AVR_DESCRIPTION);
+    await Promise.all([
+        denonServer.listen(),
+        heosServer.listen(),
+        descriptionServer.listen()
+    ]);
+    const manager = new FakeAddonManager();
+    const adapter = createAdapter(manager, {
+        config: config || {
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'AVR'
+                }
+            ]
+        },
+        telnetPort: denonServer.port,
+        descriptionPort: descriptionServer.port
+    });
+    const environment = {
+        denonServer,
+        heosServer,
+        descriptionServer,
+        manager,
+        adapter,
+        async stop() {
+            await stopAdapter(adapter, manager);
+            await Promise.all([
+                denonServer.close(),
+                heosServer.close(),
+                descriptionServer.close()
+            ]);
+        }
+    };
+    if(waitForAVR) {
+        try {
+            environment.avr = await waitFor(() => manager.devices[`heos-${AVR_PLAYER.pid}`]);
+            // Properties are queried once the main zone reports it is on
+            await waitFor(() => environment.avr.initedProperties && denonServer.getReceived('OPTXM?').length);
+            await waitFor(() => environment.avr.findProperty('audioOutput').value);
+            await waitForIdle(environment.avr);
+        }
+        catch(error) {
+            await environment.stop();
+            throw error;
+        }
+    }
+    return environment;
+};
+
+module.exports = {
+    startEnvironment,
+    AVR_PLAYER,
+    SPEAKER_PLAYER,
+    AVR_DESCRIPTION
+};
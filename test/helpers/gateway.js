@@ -0,0 +1,229 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Action } = require('gateway-addon');
+const { DenonAdapter } = require('../..');
+
+/**
+ * Records everything the adapter reports to the gateway.
+ */
+class FakeAddonManager {
+    constructor() {
+        const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'denon-adapter-'));
+        this.userProfile = {
+            baseDir,
+            mediaDir: path.join(baseDir, 'media'),
+            dataDir: path.join(baseDir, 'data')
+        };
+        /**
+         * @type {Object<string, Device>}
+         */
+        this.devices = {};
+        /**
+         * Description of each device as the gateway last received it.
+         *
+         * @type {Object<string, object>}
+         */
+        this.descriptions = {};
+        this.propertyChanges = [];
+        this.events = [];
+        this.actionStatus = [];
+        this.connected = {};
+        this.pairingPrompts = [];
+    }
+
+    addAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    getGatewayVersion() {
+        return '1.0.0';
+    }
+
+    getUserProfile() {
+        return this.userProfile;
+    }
+
+    getPreferences() {
+        return {
+            language: 'en-US',
+            units: {
+                temperature: 'degree celsius'
+            }
+        };
+    }
+
+    handleDeviceAdded(device) {
+        this.devices[device.id] = device;
+        this.descriptions[device.id] = JSON.parse(JSON.stringify(device.asDict()));
+    }
+
+    handleDeviceRemoved(device) {
+        delete this.devices[device.id];
+    }
+
+    sendPropertyChangedNotification(property) {
+        this.propertyChanges.push({
+            device: property.device.id,
+            name: property.name,
+            value: property.value
+        });
+    }
+
+    sendActionStatusNotification(action) {
+        this.actionStatus.push(action);
+    }
+
+    sendEventNotification(event) {
+        this.events.push({
+            device: event.device.id,
+            name: event.name,
+            data: event.data
+        });
+    }
+
+    sendConnectedNotification(device, connected) {
+        this.connected[device.id] = connected;
+    }
+
+    sendPairingPrompt(adapter, prompt) {
+        this.pairingPrompts.push(prompt);
+    }
+
+    sendUnpairingPrompt() {}
+
+    cleanUp() {
+        fs.rmSync(this.userProfile.baseDir, {
+            recursive: true,
+            force: true
+        });
+    }
+}
+
+/**
+ * Poll until the condition holds.
+ *
+ * @param {function(): any} condition
+ * @param {number} [timeout=5000]
+ * @returns {Promise<any>} Result of the condition.
+ */
+const waitFor = async (condition, timeout = 5000) => {
+    const end = Date.now() + timeout;
+    while(Date.now() < end) {
+        const result = condition();
+        if(result) {
+            return result;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+};
+
+/**
+ * Wait until an AVR has sent all queued commands.
+ *
+ * @param {DenonDevice} device
+ */
+const waitForIdle = async (device) => {
+    if(!device.denonDevice) {
+        return;
+    }
+    let queue;
+    while(queue !== device.denonDevice.queue) {
+        queue = device.denonDevice.queue;
+        await Promise.race([
+            queue,
+            new Promise((resolve) => setTimeout(resolve, 2000))
+        ]);
+        // Give handlers of the last response the chance to queue follow-up commands
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+/**
+ * Create the adapter with a fixed config instead of the gateway database.
+ *
+ * @param {FakeAddonManager} manager
+ * @param {object} options
+ * @param {object} [options.config] - Add-on config.
+ * @param {number} [options.telnetPort] - Port of the simulated AVR telnet server.
+ * @param {number} [options.descriptionPort] - Port of the simulated description server.
+ * @param {boolean} [options.discovery=false] - Search AVRs via SSDP.
+ * @returns {DenonAdapter}
+ */
+const createAdapter = (manager, {
+    config = {},
+    telnetPort,
+    descriptionPort,
+    discovery = false
+}) => {
+    class TestAdapter extends DenonAdapter {
+        async loadConfig() {
+            this.config = config;
+        }
+
+        fetchDescription(location) {
+            if(descriptionPort) {
+                const url = new URL(location);
+                url.port = descriptionPort;
+                location = url.toString();
+            }
+            return super.fetchDescription(location);
+        }
+
+        async getDenonAVRs(timeoutInS) {
+            if(discovery) {
+                return super.getDenonAVRs(timeoutInS);
+            }
+        }
+
+        onDiscover(player, avr) {
+            if(avr && telnetPort) {
+                avr.port = telnetPort;
+            }
+            return super.onDiscover(player, avr);
+        }
+    }
+    return new TestAdapter(manager);
+};
+
+/**
+ * Remove all devices and unload the adapter, so no sockets or timers stay open.
+ *
+ * @param {DenonAdapter} adapter
+ * @param {FakeAddonManager} manager
+ */
+const stopAdapter = async (adapter, manager) => {
+    // Let queued telnet commands finish, so they don't fail on the closed connection
+    for(const device of Object.values(adapter.devices)) {
+        await waitForIdle(device);
+    }
+    for(const device of Object.values(adapter.devices)) {
+        if(!device.isZone && adapter.devices[device.id]) {
+            adapter.removeThing(device);
+        }
+    }
+    await adapter.unload();
+    manager.cleanUp();
+};
+
+/**
+ * Run an action like the gateway does, but wait for it to complete.
+ *
+ * @param {Device} device
+ * @param {string} name
+ * @param {any} [input]
+ * @returns {Promise}
+ */
+const performAction = (device, name, input) => device.performAction(new Action(`${Date.now()}`, device, name, input));
+
+module.exports = {
+    FakeAddonManager,
+    waitFor,
+    waitForIdle,
+    createAdapter,
+    stopAdapter,
+    performAction
+};
@@ -0,0 +1,521 @@
+'use strict';
+
+const net = require('net');
+
+const HEOS_PORT = 1255;
+const DELIMITER = '\r\n';
+
+/**
+ * @param {string} query - Attributes of a HEOS command, like pid=1&level=10.
+ * @returns {object}
+ */
+const parseAttributes = (query = '') => {
+    const attributes = {};
+    for(const pair of query.split('&')) {
+        if(!pair) {
+            continue;
+        }
+        const [ key, ...value ] = pair.split('=');
+        attributes[key] = decodeURIComponent(value.join('='));
+    }
+    return attributes;
+};
+
+/**
+ * Escape the characters the HEOS CLI reserves in attribute values.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeAttribute = (value) => value.replace(/%/g, '%25')
+    .replace(/&/g, '%26')
+    .replace(/=/g, '%3D');
+
+/**
+ * @param {object} attributes
+ * @returns {string}
+ */
+const formatAttributes = (attributes) => Object.entries(attributes)
+    .map(([ key, value ]) => `${key}=${value}`)
+    .join('&');
+
+/**
+ * Minimal HEOS CLI server. Keeps the state of the configured players and
+ * groups, answers the commands the adapter uses and sends change events to all
+ * clients that registered for them.
+ */
+class HeosServer {
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.players] - Payload of player/get_players.
+     * @param {object[]} [options.groups] - Payload of group/get_groups.
+     * @param {object[]} [options.sources] - Payload of browse/get_music_sources.
+     * @param {{ un: string, pw: string }} [options.credentials] - Account that can sign in.
+     * @param {boolean} [options.reordersGroups=true] - Whether set_group with the players of a group in a new order changes its leader.
+     */
+    constructor({ players = [], groups = [], sources, credentials, reordersGroups = true } = {}) {
+        this.players = players;
+        this.reordersGroups = reordersGroups;
+        this.groups = groups;
+        this.sources = sources || [
+            {
+                name: 'TuneIn',
+                image_url: '',
+                type: 'music_service',
+                sid: 3,
+                available: 'true'
+            },
+            {
+                name: 'Local Music',
+                image_url: '',
+                type: 'heos_server',
+                sid: 1024,
+                available: 'true'
+            },
+            {
+                name: 'Tidal',
+                image_url: '',
+                type: 'music_service',
+                sid: 10,
+                available: 'false'
+            }
+        ];
+        this.credentials = credentials;
+        this.account = undefined;
+        /**
+         * Browse results by sid or sid/cid.
+         *
+         * @type {Object<string, object[]>}
+         */
+        this.browseTree = {};
+        /**
+         * @type {Object<string, object>}
+         */
+        this.playerState = {};
+        for(const player of players) {
+            this.playerState[player.pid] = {
+                state: 'stop',
+                level: 20,
+                mute: 'off',
+                repeat: 'off',
+                shuffle: 'off',
+                nowPlaying: undefined,
+                options: [],
+                queue: []
+            };
+        }
+        /**
+         * @type {Object<string, { level: number, mute: string }>}
+         */
+        this.groupState = {};
+        this.sockets = new Set();
+        /**
+         * @type {{ command: string, attributes: object }[]}
+         */
+        this.received = [];
+        /**
+         * Handlers by command, returning the response. Tests may replace them.
+         *
+         * @type {Object<string, function(object, net.Socket): (object|undefined)>}
+         */
+        this.commands = {
+            'system/register_for_change_events': (attributes, socket) => {
+                socket.registered = attributes.enable === 'on';
+            },
+            'system/heart_beat': () => ({ message: '' }),
+            'system/check_account': () => ({
+                message: this.account ? `signed_in&un=${encodeAttribute(this.account)}` : 'signed_out'
+            }),
+            'system/sign_in': (attributes, socket) => {
+                this.write(socket, 'system/sign_in', { message: 'command under process' });
+                if(!this.credentials || attributes.un !== this.credentials.un || attributes.pw !== this.credentials.pw) {
+                    return {
+                        result: 'fail',
+                        message: 'eid=6&text=Invalid credentials'
+                    };
+                }
+                this.account = attributes.un;
+                return { message: `signed_in&un=${encodeAttribute(attributes.un)}` };
+            },
+            'system/sign_out': () => {
+                this.account = undefined;
+                return { message: 'signed_out' };
+            },
+            'player/get_players': () => ({
+                message: '',
+                payload: this.players
+            }),
+            'player/get_play_state': ({ pid }) => ({
+                message: formatAttributes({
+                    pid,
+                    state: this.getPlayer(pid).state
+                })
+            }),
+            'player/set_play_state': ({ pid, state }) => {
+                this.getPlayer(pid).state = state;
+                this.pushEvent('player_state_changed', { pid, state });
+            },
+            'player/get_volume': ({ pid }) => ({
+                message: formatAttributes({
+                    pid,
+                    level: this.getPlayer(pid).level
+                })
+            }),
+            'player/set_volume': ({ pid, level }) => {
+                this.getPlayer(pid).level = Number.parseInt(level);
+                this.pushVolume(pid);
+            },
+            'player/get_mute': ({ pid }) => ({
+                message: formatAttributes({
+                    pid,
+                    state: this.getPlayer(pid).mute
+                })
+            }),
+            'player/set_mute': ({ pid, state }) => {
+                this.getPlayer(pid).mute = state;
+                this.pushVolume(pid);
+            },
+            'player/toggle_mute': ({ pid }) => {
+                const player = this.getPlayer(pid);
+                player.mute = player.mute === 'on' ? 'off' : 'on';
+                this.pushVolume(pid);
+            },
+            'player/get_play_mode': ({ pid }) => ({
+                message: formatAttributes({
+                    pid,
+                    repeat: this.getPlayer(pid).repeat,
+                    shuffle: this.getPlayer(pid).shuffle
+                })
+            }),
+            'player/set_play_mode': ({ pid, repeat, shuffle }) => {
+                const player = this.getPlayer(pid);
+                if(repeat) {
+                    player.repeat = repeat;
+                    this.pushEvent('repeat_mode_changed', { pid, repeat });
+                }
+                if(shuffle) {
+                    player.shuffle = shuffle;
+                    this.pushEvent('shuffle_mode_changed', { pid, shuffle });
+                }
+            },
+            'player/get_now_playing_media': ({ pid }) => {
+                const player = this.getPlayer(pid);
+                return {
+                    message: `pid=${pid}`,
+                    payload: player.nowPlaying,
+                    options: player.nowPlaying ? player.options : undefined
+                };
+            },
+            'player/get_queue': ({ pid, range = '0,99' }) => {
+                const [ start, end ] = range.split(',').map((index) => Number.parseInt(index));
+                return {
+                    message: `pid=${pid}&range=${range}`,
+                    payload: this.getPlayer(pid).queue.slice(start, end + 1)
+                };
+            },
+            'player/play_queue': ({ pid, qid }) => {
+                const player = this.getPlayer(pid);
+                const item = player.queue.find((queueItem) => `${queueItem.qid}` === qid);
+                if(!item) {
+                    return {
+                        result: 'fail',
+                        message: 'eid=2&text=Invalid ID'
+                    };
+                }
+                player.nowPlaying = Object.assign({
+                    type: 'song',
+                    sid: 1024,
+                    station: ''
+                }, item);
+                player.state = 'play';
+                this.pushEvent('player_now_playing_changed', { pid });
+                this.pushEvent('player_state_changed', { pid, state: 'play' });
+            },
+            'player/remove_from_queue': ({ pid, qid }) => {
+                const remove = qid.split(',');
+                const player = this.getPlayer(pid);
+                player.queue = player.queue.filter((item) => !remove.includes(`${item.qid}`));
+                this.pushEvent('player_queue_changed', { pid });
+            },
+            'player/move_queue_item': ({ pid, sqid, dqid }) => {
+                const player = this.getPlayer(pid);
+                const moved = sqid.split(',');
+                const items = player.queue.filter((item) => moved.includes(`${item.qid}`));
+                const rest = player.queue.filter((item) => !moved.includes(`${item.qid}`));
+                rest.splice(Number.parseInt(dqid) - 1, 0, ...items);
+                player.queue = rest.map((item, index) => Object.assign({}, item, { qid: index + 1 }));
+                this.pushEvent('player_queue_changed', { pid });
+            },
+            'player/clear_queue': ({ pid }) => {
+                this.getPlayer(pid).queue = [];
+                this.pushEvent('player_queue_changed', { pid });
+            },
+            'player/save_queue': () => {},
+            'player/play_next': () => {},
+            'player/play_previous': () => {},
+            'group/get_groups': () => ({
+                message: '',
+                payload: this.groups
+            }),
+            'group/get_group_info': ({ gid }) => {
+                const group = this.groups.find((existingGroup) => `${existingGroup.gid}` === gid);
+                if(!group) {
+                    return {
+                        result: 'fail',
+                        message: 'eid=2&text=ID Not Valid'
+                    };
+                }
+                return {
+                    message: `gid=${gid}`,
+                    payload: group
+                };
+            },
+            'group/set_group': ({ pid }) => {
+                const [ leader, ...members ] = pid.split(',');
+                const samePlayers = (group) => group.players.map((player) => `${player.pid}`).sort().join(',') === pid.split(',').sort().join(',');
+                if(!this.reordersGroups && this.groups.some(samePlayers)) {
+                    // Like some firmware versions, which keep the group as it is
+                    return;
+                }
+                this.groups = this.groups.filter((group) => !group.players.some((player) => `${player.pid}` === leader));
+                if(members.length) {
+                    const groupPids = [ leader, ...members ];
+                    this.groups.push({
+                        name: groupPids.map((groupPid) => this.players.find((player) => `${player.pid}` === groupPid).name).join(' + '),
+                        gid: Number.parseInt(leader),
+                        players: groupPids.map((groupPid) => ({
+                            name: this.players.find((player) => `${player.pid}` === groupPid).name,
+                            pid: Number.parseInt(groupPid),
+                            role: groupPid === leader ? 'leader' : 'member'
+                        }))
+                    });
+                }
+                this.pushEvent('groups_changed');
+            },
+            'group/get_volume': ({ gid }) => ({
+                message: formatAttributes({
+                    gid,
+                    level: this.getGroup(gid).level
+                })
+            }),
+            'group/set_volume': ({ gid, level }) => {
+                this.getGroup(gid).level = Number.parseInt(level);
+                this.pushGroupVolume(gid);
+            },
+            'group/get_mute': ({ gid }) => ({
+                message: formatAttributes({
+                    gid,
+                    state: this.getGroup(gid).mute
+                })
+            }),
+            'group/set_mute': ({ gid, state }) => {
+                this.getGroup(gid).mute = state;
+                this.pushGroupVolume(gid);
+            },
+            'browse/get_music_sources': () => ({
+                message: '',
+                payload: this.sources
+            }),
+            'browse/browse': ({ sid, cid, range }) => {
+                const items = this.browseTree[cid ? `${sid}/${cid}` : sid];
+                if(!items) {
+                    return {
+                        result: 'fail',
+                        message: 'eid=2&text=Invalid ID'
+                    };
+                }
+                let [ start, end ] = [ 0, items.length - 1 ];
+                if(range) {
+                    [ start, end ] = range.split(',').map((index) => Number.parseInt(index));
+                }
+                const page = items.slice(start, end + 1);
+                return {
+                    message: formatAttributes(Object.assign({ sid }, cid ? { cid } : {}, {
+                        returned: page.length,
+                        count: items.length
+                    })),
+                    payload: page
+                };
+            },
+            'browse/add_to_queue': () => {},
+            'browse/play_stream': () => {},
+            'browse/play_preset': () => {},
+            'browse/play_input': () => {},
+            'browse/set_service_option': () => {}
+        };
+    }
+
+    /**
+     * @param {number|string} pid
+     * @returns {object}
+     */
+    getPlayer(pid) {
+        return this.playerState[pid];
+    }
+
+    /**
+     * @param {number|string} gid
+     * @returns {{ level: number, mute: string }}
+     */
+    getGroup(gid) {
+        if(!this.groupState[gid]) {
+            this.groupState[gid] = {
+                level: 30,
+                mute: 'off'
+            };
+        }
+        return this.groupState[gid];
+    }
+
+    pushVolume(pid) {
+        const player = this.getPlayer(pid);
+        this.pushEvent('player_volume_changed', {
+            pid,
+            level: player.level,
+            mute: player.mute
+        });
+    }
+
+    pushGroupVolume(gid) {
+        const group = this.getGroup(gid);
+        this.pushEvent('group_volume_changed', {
+            gid,
+            level: group.level,
+            mute: group.mute
+        });
+    }
+
+    /**
+     * @param {number} [port=HEOS_PORT]
+     * @returns {Promise<number>}
+     */
+    listen(port = HEOS_PORT) {
+        this.server = net.createServer((socket) => this.handleConnection(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * @param {net.Socket} socket
+     */
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.setEncoding('utf8');
+        let buffer = '';
+        socket.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split(DELIMITER);
+            buffer = lines.pop();
+            for(const line of lines) {
+                this.handleLine(line, socket);
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+        });
+    }
+
+    /**
+     * @param {string} line - Command like heos://player/get_volume?pid=1.
+     * @param {net.Socket} socket
+     */
+    handleLine(line, socket) {
+        const [ command, query ] = line.replace('heos://', '').split('?');
+        const attributes = parseAttributes(query);
+        this.received.push({
+            command,
+            attributes
+        });
+        if(!this.commands.hasOwnProperty(command)) {
+            this.write(socket, command, {
+                result: 'fail',
+                message: 'eid=1&text=Unrecognized Command'
+            });
+            return;
+        }
+        const response = this.commands[command](attributes, socket) || {};
+        this.write(socket, command, Object.assign({
+            message: query || ''
+        }, response));
+    }
+
+    /**
+     * @param {net.Socket} socket
+     * @param {string} command
+     * @param {{ result?: string, message?: string, payload?: any, options?: any }} response
+     */
+    write(socket, command, { result = 'success', message = '', payload, options }) {
+        const data = {
+            heos: {
+                command,
+                result,
+                message
+            }
+        };
+        if(payload !== undefined) {
+            data.payload = payload;
+        }
+        if(options !== undefined) {
+            data.options = options;
+        }
+        socket.write(JSON.stringify(data) + DELIMITER);
+    }
+
+    /**
+     * Send a change event to all clients registered for change events.
+     *
+     * @param {string} event - Event name without the event/ group.
+     * @param {object} [attributes]
+     */
+    pushEvent(event, attributes) {
+        const heos = {
+            command: `event/${event}`
+        };
+        if(attributes) {
+            heos.message = formatAttributes(attributes);
+        }
+        const data = JSON.stringify({ heos }) + DELIMITER;
+        for(const socket of this.sockets) {
+            if(socket.registered) {
+                socket.write(data);
+            }
+        }
+    }
+
+    /**
+     * @param {string} command - Like player/set_volume.
+     * @returns {object[]} Attributes of all received commands of the given type.
+     */
+    getReceived(command) {
+        return this.received
+            .filter((received) => received.command === command)
+            .map(({ attributes }) => attributes);
+    }
+
+    dropConnections() {
+        for(const socket of this.sockets) {
+            socket.destroy();
+        }
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise((resolve) => {
+            if(!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+HeosServer.HEOS_PORT = HEOS_PORT;
+
+module.exports = HeosServer;
@@ -0,0 +1,101 @@
+'use strict';
+
+const http = require('http');
+const { Server } = require('node-ssdp');
+
+const SEARCH_TARGET = 'urn:schemas-denon-com:device:ACT-Denon:1';
+const SSDP_PORT = 1900;
+
+/**
+ * Serves the UPnP device description of a simulated AVR.
+ */
+class DescriptionServer {
+    /**
+     * @param {object} device
+     * @param {string} device.friendlyName
+     * @param {string} device.modelName
+     * @param {string} device.serialNumber
+     * @param {string} device.UDN
+     */
+    constructor(device) {
+        this.device = device;
+        this.requests = 0;
+    }
+
+    get location() {
+        return `http://127.0.0.1:${this.port}/description.xml`;
+    }
+
+    /**
+     * @returns {string} Description XML.
+     */
+    getDescription() {
+        const fields = Object.entries(this.device)
+            .map(([ key, value ]) => `<${key}>${value}</${key}>`)
+            .join('');
+        return `<?xml version="1.0" encoding="utf-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0"><specVersion><major>1</major><minor>0</minor></specVersion><device><deviceType>${SEARCH_TARGET}</deviceType><manufacturer>Denon</manufacturer>${fields}</device></root>`;
+    }
+
+    /**
+     * @param {number} [port=0]
+     * @returns {Promise<number>}
+     */
+    listen(port = 0) {
+        this.server = http.createServer((request, response) => {
+            this.requests += 1;
+            if(request.url !== '/description.xml') {
+                response.writeHead(404);
+                response.end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'text/xml' });
+            response.end(this.getDescription());
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+}
+
+/**
+ * Answers SSDP searches for Denon AVRs like the HEOS module of an AVR.
+ */
+class SsdpResponder {
+    /**
+     * @param {string} location - URL of the device description.
+     * @param {string} udn
+     */
+    constructor(location, udn) {
+        this.server = new Server({
+            location,
+            udn,
+            sourcePort: SSDP_PORT,
+            reuseAddr: true,
+            adInterval: 60000
+        });
+        this.server.addUSN(SEARCH_TARGET);
+    }
+
+    start() {
+        return this.server.start();
+    }
+
+    stop() {
+        this.server.stop();
+    }
+}
+
+module.exports = {
+    DescriptionServer,
+    SsdpResponder,
+    SEARCH_TARGET
+};
@@ -0,0 +1,309 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+const QUEUE = [
+    {
+        song: 'First',
+        album: 'Album',
+        artist: 'Artist',
+        image_url: '',
+        qid: 1,
+        mid: '1'
+    },
+    {
+        song: 'Second',
+        album: 'Album',
+        artist: 'Artist',
+        image_url: '',
+        qid: 2,
+        mid: '2'
+    },
+    {
+        song: 'Third',
+        album: 'Album',
+        artist: 'Artist',
+        image_url: '',
+        qid: 3,
+        mid: '3'
+    }
+];
+
+/**
+ * @param {object} [options] - Options for startEnvironment.
+ */
+const startWithSpeaker = async (t, options) => {
+    t.context = await startEnvironment(options);
+    const speaker = await waitFor(() => t.context.manager.devices[SPEAKER_ID]);
+    await waitFor(() => speaker.findProperty('volume').value === 20);
+    t.context.speaker = speaker;
+};
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('adds all HEOS players', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, avr, heosServer } = t.context;
+    t.is(speaker.name, SPEAKER_PLAYER.name);
+    t.falsy(speaker.isAVR);
+    t.true(avr.isAVR);
+    t.deepEqual(speaker.actions.get('addGroupMember').input.enum, [ AVR_PLAYER.name ]);
+    t.deepEqual(t.context.manager.descriptions[avr.id].actions.addGroupMember.input.enum, [ SPEAKER_PLAYER.name ]);
+    t.true(heosServer.getReceived('system/register_for_change_events').length > 0);
+});
+
+test.serial('announces changed group member lists', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, avr, adapter, manager } = t.context;
+    adapter.removeThing(speaker);
+    t.deepEqual(manager.descriptions[avr.id].actions.addGroupMember.input.enum, []);
+    t.deepEqual(manager.descriptions[avr.id].actions.removeGroupMember.input.enum, []);
+});
+
+test.serial('adds a manually configured speaker', async (t) => {
+    await startWithSpeaker(t, {
+        config: {
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'HEOS Speaker'
+                }
+            ]
+        },
+        waitForAVR: false
+    });
+    const { manager } = t.context;
+    await waitFor(() => manager.devices[`heos-${AVR_PLAYER.pid}`]);
+    t.falsy(manager.devices[`heos-${AVR_PLAYER.pid}`].isAVR);
+});
+
+test.serial('skips configured hosts without a matching player', async (t) => {
+    await startWithSpeaker(t, {
+        heos: {
+            players: [ SPEAKER_PLAYER ]
+        },
+        config: {
+            hosts: [
+                {
+                    address: '127.0.0.3',
+                    type: 'AVR'
+                }
+            ]
+        },
+        waitForAVR: false
+    });
+    const { speaker, manager } = t.context;
+    t.falsy(speaker.isAVR);
+    t.deepEqual(Object.keys(manager.devices), [ SPEAKER_ID ]);
+});
+
+test.serial('only offers available music sources', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker } = t.context;
+    t.deepEqual(speaker.findProperty('source').enum, [
+        'TuneIn',
+        'Local Music'
+    ]);
+});
+
+test.serial('reads the initial player state', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker } = t.context;
+    t.false(speaker.findProperty('playing').value);
+    t.false(speaker.findProperty('muted').value);
+    t.is(speaker.findProperty('repeat').value, 'off');
+    t.false(speaker.findProperty('shuffle').value);
+});
+
+test.serial('sets volume, mute and play mode', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, heosServer } = t.context;
+    await speaker.setProperty('volume', 35);
+    await speaker.setProperty('muted', true);
+    await speaker.setProperty('shuffle', true);
+    await waitFor(() => heosServer.getReceived('player/set_play_mode').length);
+    t.deepEqual(heosServer.getReceived('player/set_volume'), [
+        {
+            pid: `${SPEAKER_PLAYER.pid}`,
+            level: '35'
+        }
+    ]);
+    t.deepEqual(heosServer.getReceived('player/set_mute'), [
+        {
+            pid: `${SPEAKER_PLAYER.pid}`,
+            state: 'on'
+        }
+    ]);
+    t.is(heosServer.getPlayer(SPEAKER_PLAYER.pid).shuffle, 'on');
+});
+
+test.serial('follows change events', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, heosServer } = t.context;
+    heosServer.pushEvent('player_volume_changed', {
+        pid: SPEAKER_PLAYER.pid,
+        level: 42,
+        mute: 'on'
+    });
+    heosServer.pushEvent('repeat_mode_changed', {
+        pid: SPEAKER_PLAYER.pid,
+        repeat: 'on_all'
+    });
+    await waitFor(() => speaker.findProperty('volume').value === 42);
+    await waitFor(() => speaker.findProperty('repeat').value === 'on_all');
+    t.true(speaker.findProperty('muted').value);
+});
+
+test.serial('ignores events for other players', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, heosServer } = t.context;
+    heosServer.pushEvent('player_volume_changed', {
+        pid: AVR_PLAYER.pid,
+        level: 80,
+        mute: 'off'
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    t.is(speaker.findProperty('volume').value, 20);
+});
+
+test.serial('loads and edits the queue', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, heosServer } = t.context;
+    heosServer.getPlayer(SPEAKER_PLAYER.pid).queue = QUEUE.slice();
+    heosServer.pushEvent('player_queue_changed', { pid: SPEAKER_PLAYER.pid });
+    await waitFor(() => speaker.findProperty('queueLength').value === 3);
+
+    await performAction(speaker, 'playQueueItem', 2);
+    await waitFor(() => speaker.findProperty('title').value === 'Second');
+    t.is(speaker.findProperty('queuePosition').value, 2);
+    t.true(speaker.findProperty('playing').value);
+
+    await performAction(speaker, 'removeQueueItem', 1);
+    await waitFor(() => speaker.findProperty('queueLength').value === 2);
+    await performAction(speaker, 'clearQueue');
+    await waitFor(() => speaker.findProperty('queueLength').value === 0);
+    t.deepEqual(speaker.queue, []);
+});
+
+test.serial('groups players', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, avr, heosServer } = t.context;
+    await performAction(speaker, 'addGroupMember', AVR_PLAYER.name);
+    t.deepEqual(heosServer.getReceived('group/set_group'), [
+        {
+            pid: `${SPEAKER_PLAYER.pid},${AVR_PLAYER.pid}`
+        }
+    ]);
+    await waitFor(() => speaker.group && avr.group);
+    t.is(speaker.findProperty('group').value, `${SPEAKER_PLAYER.name} + ${AVR_PLAYER.name}`);
+    await waitFor(() => speaker.findProperty('groupVolume').value === 30);
+
+    await speaker.setProperty('groupVolume', 60);
+    await waitFor(() => avr.findProperty('groupVolume').value === 60);
+
+    await performAction(avr, 'leaveGroup');
+    await waitFor(() => !speaker.group && !avr.group);
+    t.is(avr.findProperty('group').value, '');
+});
+
+test.serial('makes a player the group leader', async (t) => {
+    await startWithSpeaker(t);
+    const { speaker, avr, heosServer } = t.context;
+    await performAction(speaker, 'addGroupMember', AVR_PLAYER.name);
+    await waitFor(() => avr.group);
+    await performAction(avr, 'makeGroupLeader');
+    t.deepEqual(heosServer.getReceived('group/set_group').slice(1), [
+        {
+            pid: `${AVR_PLAYER.pid},${SPEAKER_PLAYER.pid}`
+        }
+    ]);
+    await waitFor(() => speaker.getGroupPids()[0] === AVR_PLAYER.pid);
+});
+
+test.serial('rebuilds the group when reordering keeps the leader', async (t) => {
+    await startWithSpeaker(t, {
+        heos: {
+            reordersGroups: false
+        }
+    });
+    const { speaker, avr, heosServer } = t.context;
+    await performAction(speaker, 'addGroupMember', AVR_PLAYER.name);
+    await waitFor(() => avr.group);
+    await performAction(avr, 'makeGroupLeader');
+    t.deepEqual(heosServer.getReceived('group/set_group').slice(1), [
+        {
+            pid: `${AVR_PLAYER.pid},${SPEAKER_PLAYER.pid}`
+        },
+        {
+            pid: `${SPEAKER_PLAYER.pid}`
+        },
+        {
+            pid: `${AVR_PLAYER.pid},${SPEAKER_PLAYER.pid}`
+        }
+    ]);
+    await waitFor(() => speaker.getGroupPids()[0] === AVR_PLAYER.pid);
+    t.is(heosServer.groups[0].gid, AVR_PLAYER.pid);
+});
+
+test.serial('signs in to the configured account', async (t) => {
+    await startWithSpeaker(t, {
+        heos: {
+            credentials: {
+                un: 'user&100%@example.com',
+                pw: 'p&ss=word%'
+            }
+        },
+        config: {
+            username: 'user&100%@example.com',
+            password: 'p&ss=word%',
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'AVR'
+                }
+            ]
+        }
+    });
+    const { heosServer, manager, adapter } = t.context;
+    t.is(heosServer.account, 'user&100%@example.com');
+    t.deepEqual(manager.pairingPrompts, []);
+    // Already signed in to the account
+    await adapter.signIn();
+    t.is(heosServer.getReceived('system/sign_in').length, 1);
+});
+
+test.serial('reports failed sign ins', async (t) => {
+    await startWithSpeaker(t, {
+        heos: {
+            credentials: {
+                un: 'user@example.com',
+                pw: 'correct'
+            }
+        },
+        config: {
+            username: 'user@example.com',
+            password: 'wrong',
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'AVR'
+                }
+            ]
+        }
+    });
+    const { heosServer, manager, adapter } = t.context;
+    t.is(heosServer.account, undefined);
+    t.true(manager.pairingPrompts.some((prompt) => prompt.includes('Invalid credentials')));
+
+    heosServer.pushEvent('user_changed', { signed_out: '' });
+    await waitFor(() => manager.events.some((event) => event.name === 'signInError' && event.device === SPEAKER_ID));
+    t.is(Object.keys(adapter.devices).length, Object.keys(manager.devices).length);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+
+const startWithInputs = async (t, denon) => {
+    t.context = await startEnvironment({
+        denon
+    });
+    await waitFor(() => t.context.denonServer.getReceived('SSSOD ?').length && !t.context.avr.queryingInputs);
+};
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('lists the inputs configured on the AVR', async (t) => {
+    await startWithInputs(t, {
+        inputNames: {
+            CD: 'Turntable',
+            'SAT/CBL': 'Cable Box'
+        },
+        deletedInputs: [
+            'PHONO',
+            'AUX2'
+        ]
+    });
+    const { avr, manager } = t.context;
+    const { enum: inputs } = avr.findProperty('avrSource');
+    t.true(inputs.includes('Cable Box'));
+    t.false(inputs.includes('CBL/SAT'));
+    t.false(inputs.includes('Phono'));
+    t.false(inputs.includes('AUX2'));
+    t.is(avr.findProperty('avrSource').value, 'Turntable');
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    t.deepEqual(zone.findProperty('input').enum, [ 'Source', ...inputs ]);
+});
+
+test.serial('sends the input code for a renamed input', async (t) => {
+    await startWithInputs(t, {
+        inputNames: {
+            'SAT/CBL': 'Cable Box'
+        }
+    });
+    const { avr, manager, denonServer } = t.context;
+    t.is(await avr.setProperty('avrSource', 'Cable Box'), 'Cable Box');
+    t.is(denonServer.state.source, 'SAT/CBL');
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    t.is(await zone.setProperty('input', 'Cable Box'), 'Cable Box');
+    t.is(denonServer.state.zones.Z2.input, 'SAT/CBL');
+    await t.throwsAsync(avr.setProperty('avrSource', 'CBL/SAT'), { message: /enum/ });
+});
+
+test.serial('follows inputs renamed and deleted on the AVR', async (t) => {
+    await startWithInputs(t);
+    const { avr, adapter, denonServer } = t.context;
+    let announced = 0;
+    const handleDeviceAdded = adapter.handleDeviceAdded;
+    adapter.handleDeviceAdded = (device) => {
+        if(device === avr) {
+            announced += 1;
+        }
+        handleDeviceAdded.call(adapter, device);
+    };
+    denonServer.changeInput('CD', { name: 'Turntable' });
+    await waitFor(() => avr.findProperty('avrSource').value === 'Turntable');
+    denonServer.changeInput('GAME', { used: false });
+    await waitFor(() => !avr.findProperty('avrSource').enum.includes('Game'));
+    t.is(announced, 2);
+});
+
+test.serial('keeps the default inputs on models that cannot list them', async (t) => {
+    await startWithInputs(t, {
+        inputNames: {
+            CD: 'Turntable'
+        }
+    });
+    const { avr, denonServer } = t.context;
+    denonServer.commands.unshift([ /^SS(FUN|SOD) \?$/, () => [] ]);
+    avr.inputNames.clear();
+    await avr.queryInputs();
+    t.is(avr.findProperty('avrSource').value, 'CD');
+    t.true(avr.findProperty('avrSource').enum.includes('Blu-ray'));
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('eco').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reads the power settings', (t) => {
+    const { avr } = t.context;
+    t.is(avr.findProperty('sleep').value, 0);
+    t.is(avr.findProperty('sleepRemaining').value, 0);
+    t.is(avr.findProperty('autoStandby').value, '30 minutes');
+    t.is(avr.findProperty('eco').value, 'Auto');
+});
+
+test.serial('sets and cancels the sleep timer', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('sleep', 90), 90);
+    t.is(denonServer.state.sleep, '090');
+    t.is(avr.findProperty('sleepRemaining').value, 90);
+    t.true(avr.sleepPolls.has(''));
+
+    t.is(await avr.setProperty('sleep', 0), 0);
+    t.is(denonServer.state.sleep, 'OFF');
+    t.is(avr.findProperty('sleepRemaining').value, 0);
+    t.false(avr.sleepPolls.has(''));
+    await t.throwsAsync(avr.setProperty('sleepRemaining', 10), { message: 'Read-only property' });
+});
+
+test.serial('tracks the countdown of the sleep timer', async (t) => {
+    const { avr, denonServer } = t.context;
+    await avr.setProperty('sleep', 30);
+    denonServer.pushEvent('SLP029');
+    await waitFor(() => avr.findProperty('sleepRemaining').value === 29);
+    t.is(avr.findProperty('sleep').value, 30);
+
+    // Set on the AVR
+    denonServer.pushEvent('SLP060');
+    await waitFor(() => avr.findProperty('sleep').value === 60);
+    denonServer.pushEvent('SLPOFF');
+    await waitFor(() => avr.findProperty('sleep').value === 0);
+    t.is(avr.findProperty('sleepRemaining').value, 0);
+});
+
+test.serial('sets auto standby and ECO mode', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('autoStandby', 'Off'), 'Off');
+    t.is(await avr.setProperty('eco', 'On'), 'On');
+    t.is(denonServer.state.autoStandby, 'OFF');
+    t.is(denonServer.state.eco, 'ON');
+    await t.throwsAsync(avr.setProperty('autoStandby', '2 hours'), { message: /enum/ });
+});
+
+test.serial('controls sleep and auto standby of zones', async (t) => {
+    const { avr, manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[`heos-${AVR_PLAYER.pid}Z2`]);
+    await waitFor(() => zone.findProperty('autoStandby').value === 'Off');
+    t.is(await zone.setProperty('sleep', 15), 15);
+    t.is(await zone.setProperty('autoStandby', '4 hours'), '4 hours');
+    t.like(denonServer.state.zones.Z2, {
+        sleep: '015',
+        autoStandby: '4H'
+    });
+    t.is(zone.findProperty('sleepRemaining').value, 15);
+    t.true(avr.sleepPolls.has('Z2'));
+    t.is(avr.findProperty('sleep').value, 0);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+/**
+ * @param {HeosServer} heosServer
+ * @param {string} state - play, pause or stop.
+ */
+const pushState = (heosServer, state) => heosServer.pushEvent('player_state_changed', {
+    pid: SPEAKER_PLAYER.pid,
+    state
+});
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    const { heosServer, manager } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    pushState(heosServer, 'play');
+    await waitFor(() => speaker.findProperty('playing').value);
+    heosServer.pushEvent('player_now_playing_progress', {
+        pid: SPEAKER_PLAYER.pid,
+        cur_pos: 10000,
+        duration: 200000
+    });
+    await waitFor(() => speaker.findProperty('duration').value === 200);
+    t.context.speaker = speaker;
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('interpolates the position while playing', async (t) => {
+    const { speaker } = t.context;
+    t.is(speaker.findProperty('position').value, 10);
+    t.is(speaker.findProperty('progressPercent').value, 5);
+    await waitFor(() => speaker.findProperty('position').value === 12, 3000);
+    t.is(speaker.findProperty('progressPercent').value, 6);
+});
+
+test.serial('keeps the position while paused', async (t) => {
+    const { speaker, heosServer } = t.context;
+    pushState(heosServer, 'pause');
+    await waitFor(() => !speaker.findProperty('playing').value);
+    const position = speaker.findProperty('position').value;
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    t.is(speaker.findProperty('position').value, position);
+});
+
+test.serial('stops updating the progress when playback stops', async (t) => {
+    const { speaker, heosServer } = t.context;
+    pushState(heosServer, 'stop');
+    await waitFor(() => !speaker.findProperty('playing').value);
+    t.is(speaker.progressTimer, undefined);
+    t.is(speaker.findProperty('position').value, 0);
+    t.is(speaker.findProperty('progressPercent').value, 0);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('currentQuickSelect').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('recalls a quick select slot', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(avr.findProperty('currentQuickSelect').value, 0);
+    await performAction(avr, 'quickSelect', 1);
+    t.deepEqual(denonServer.getReceived('MSQUICK1'), [ 'MSQUICK1' ]);
+    t.is(avr.findProperty('currentQuickSelect').value, 1);
+    await waitFor(() => avr.findProperty('volume').value === 45);
+    t.is(avr.findProperty('avrSource').value, 'Blu-ray');
+    t.is(avr.findProperty('surroundMode').value, 'DOLBY DIGITAL');
+});
+
+test.serial('stores the current settings in a quick select slot', async (t) => {
+    const { avr, denonServer } = t.context;
+    await avr.setProperty('volume', 30);
+    await performAction(avr, 'storeQuickSelect', 3);
+    t.deepEqual(denonServer.getReceived('MSQUICK3'), [ 'MSQUICK3 MEMORY' ]);
+    t.like(denonServer.state.quickSelects[3], {
+        source: 'CD',
+        volume: '30'
+    });
+    t.is(avr.findProperty('currentQuickSelect').value, 3);
+    await t.throwsAsync(avr.setProperty('currentQuickSelect', 2), { message: 'Read-only property' });
+});
+
+test.serial('recalls and stores quick select slots of zones', async (t) => {
+    const { manager, denonServer, avr } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    await waitFor(() => zone.findProperty('currentQuickSelect').value === 0);
+    await zone.setProperty('input', 'Tuner');
+    await performAction(zone, 'storeQuickSelect', 2);
+    t.deepEqual(denonServer.state.zones.Z2.quickSelects[2], {
+        input: 'TUNER',
+        volume: '40'
+    });
+    await zone.setProperty('input', 'CD');
+    await performAction(zone, 'quickSelect', 2);
+    t.is(zone.findProperty('currentQuickSelect').value, 2);
+    await waitFor(() => zone.findProperty('input').value === 'Tuner');
+    t.deepEqual(denonServer.getReceived('MSQUICK'), [ 'MSQUICK ?' ]);
+    t.is(avr.findProperty('currentQuickSelect').value, 0);
+});
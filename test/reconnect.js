@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reconnects to the AVR and reads its state again', async (t) => {
+    const { avr, denonServer, manager } = t.context;
+    const queries = denonServer.getReceived('MV?').length;
+    denonServer.dropConnections();
+    await waitFor(() => manager.connected[avr.id] === false);
+    denonServer.state.volume = '30';
+    await waitFor(() => manager.connected[avr.id] === true);
+    await waitFor(() => avr.findProperty('volume').value === 30);
+    t.true(denonServer.getReceived('MV?').length > queries);
+    t.is(await avr.setProperty('muted', true), true);
+});
+
+test.serial('keeps retrying while the AVR is unreachable', async (t) => {
+    const { avr, denonServer, manager } = t.context;
+    const { port } = denonServer;
+    await denonServer.close();
+    await waitFor(() => manager.connected[avr.id] === false);
+    // Let at least one reconnect attempt fail
+    await waitFor(() => avr.reconnectAttempts > 1, 10000);
+    await denonServer.listen(port);
+    await waitFor(() => manager.connected[avr.id] === true, 10000);
+    t.is(avr.reconnectAttempts, 0);
+});
+
+test.serial('reconnects to HEOS and registers for events again', async (t) => {
+    const { heosServer, manager } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    const registrations = heosServer.getReceived('system/register_for_change_events').length;
+    heosServer.dropConnections();
+    await waitFor(() => manager.connected[SPEAKER_ID] === false);
+    await waitFor(() => manager.connected[SPEAKER_ID] === true, 10000);
+    t.true(heosServer.getReceived('system/register_for_change_events').length > registrations);
+
+    heosServer.pushEvent('player_volume_changed', {
+        pid: SPEAKER_PLAYER.pid,
+        level: 7,
+        mute: 'off'
+    });
+    await waitFor(() => speaker.findProperty('volume').value === 7);
+    t.pass();
+});
+
+test.serial('reconnects to HEOS when the heart beat is not answered', async (t) => {
+    const { heosServer, manager, adapter } = t.context;
+    await waitFor(() => manager.devices[SPEAKER_ID]);
+    const connection = adapter.heosConnection;
+    await adapter.heartbeat();
+    t.is(adapter.heosConnection, connection);
+    t.is(heosServer.getReceived('system/heart_beat').length, 1);
+
+    const handleLine = heosServer.handleLine.bind(heosServer);
+    heosServer.handleLine = (line, socket) => {
+        if(!line.includes('system/heart_beat')) {
+            handleLine(line, socket);
+        }
+    };
+    await adapter.heartbeat();
+    await waitFor(() => manager.connected[SPEAKER_ID] === false);
+    await waitFor(() => manager.connected[SPEAKER_ID] === true, 10000);
+    t.not(adapter.heosConnection, connection);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('presses remote keys', async (t) => {
+    const { avr, denonServer } = t.context;
+    await performAction(avr, 'remote', {
+        key: 'setupMenu'
+    });
+    await performAction(avr, 'remote', {
+        key: 'presetUp'
+    });
+    await performAction(avr, 'remote', {
+        key: 'pause'
+    });
+    t.deepEqual(denonServer.getReceived('MNMEN'), [ 'MNMEN ON' ]);
+    t.deepEqual(denonServer.getReceived('TPANUP'), [ 'TPANUP' ]);
+    t.deepEqual(denonServer.getReceived('NS9B'), [ 'NS9B' ]);
+});
+
+test.serial('accepts keys with an optional hold duration', async (t) => {
+    const { avr, denonServer } = t.context;
+    await avr.requestAction('1', 'remote', {
+        key: 'up'
+    });
+    await avr.requestAction('2', 'remote', {
+        key: 'down',
+        hold: 0.5
+    });
+    // Rejected with a message instead of an error
+    t.regex(await avr.requestAction('3', 'remote', 'up').catch((error) => error), /invalid/);
+    t.regex(await avr.requestAction('4', 'remote', {
+        key: 'channelUp'
+    }).catch((error) => error), /invalid/);
+    t.regex(await avr.requestAction('5', 'remote', {
+        hold: 1
+    }).catch((error) => error), /invalid/);
+    await waitFor(() => denonServer.getReceived('MNCDN').length === 2);
+    t.deepEqual(denonServer.getReceived('MNCUP'), [ 'MNCUP' ]);
+});
+
+test.serial('repeats a held key', async (t) => {
+    const { avr, denonServer } = t.context;
+    const start = Date.now();
+    await performAction(avr, 'remote', {
+        key: 'fastForward',
+        hold: 1
+    });
+    t.is(denonServer.getReceived('NS9F').length, 4);
+    t.true(Date.now() - start >= 700);
+});
+
+test.serial('holds the Bluetooth key to start pairing', async (t) => {
+    const { avr, denonServer } = t.context;
+    await performAction(avr, 'btPair');
+    await performAction(avr, 'status');
+    t.is(denonServer.getReceived('RCKSK0410751').length, 12);
+    t.deepEqual(denonServer.getReceived('RCSHP'), [ 'RCSHP0230030' ]);
+});
+
+test.serial('seeks the tuner in both directions', async (t) => {
+    const { avr, denonServer } = t.context;
+    await performAction(avr, 'seekUp');
+    await performAction(avr, 'seekDown');
+    t.deepEqual(denonServer.getReceived('TFANUP'), [ 'TFANUP' ]);
+    t.deepEqual(denonServer.getReceived('TFANDOWN'), [ 'TFANDOWN' ]);
+});
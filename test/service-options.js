@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    const { heosServer, manager } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    Object.assign(heosServer.getPlayer(SPEAKER_PLAYER.pid), {
+        nowPlaying: {
+            type: 'station',
+            song: 'Song',
+            album: 'Album',
+            artist: 'Artist',
+            station: 'Station',
+            image_url: '',
+            sid: 1,
+            mid: '1',
+            album_id: '7',
+            qid: 1
+        },
+        options: [
+            {
+                play: [
+                    {
+                        id: 11,
+                        name: 'Thumbs Up'
+                    },
+                    {
+                        id: 13,
+                        name: 'Create New Station'
+                    },
+                    {
+                        id: 20,
+                        name: 'Remove from HEOS Favorites'
+                    }
+                ]
+            }
+        ]
+    });
+    heosServer.pushEvent('player_now_playing_changed', { pid: SPEAKER_PLAYER.pid });
+    await waitFor(() => speaker.actions.has('thumbsUp'));
+    t.context.speaker = speaker;
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('offers the service options of the current media', (t) => {
+    const { manager } = t.context;
+    const { actions } = manager.descriptions[SPEAKER_ID];
+    t.is(actions.thumbsUp.title, 'Thumbs Up');
+    t.is(actions.createStation.input.type, 'string');
+    t.is(actions.serviceOption20.title, 'Remove from HEOS Favorites');
+    t.falsy(actions.thumbsDown);
+});
+
+test.serial('sets service options for the current media', async (t) => {
+    const { speaker, heosServer } = t.context;
+    await performAction(speaker, 'thumbsUp');
+    await performAction(speaker, 'createStation', 'Mix');
+    t.deepEqual(heosServer.getReceived('browse/set_service_option'), [
+        {
+            option: '11',
+            sid: '1',
+            pid: `${SPEAKER_PLAYER.pid}`
+        },
+        {
+            option: '13',
+            sid: '1',
+            name: 'Mix'
+        }
+    ]);
+});
+
+test.serial('removes the service options once playback stopped', async (t) => {
+    const { speaker, heosServer, manager } = t.context;
+    heosServer.pushEvent('player_state_changed', {
+        pid: SPEAKER_PLAYER.pid,
+        state: 'stop'
+    });
+    await waitFor(() => !speaker.actions.has('thumbsUp'));
+    t.falsy(manager.descriptions[SPEAKER_ID].actions.createStation);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('hdrFormat').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reads the incoming signal', async (t) => {
+    const { avr } = t.context;
+    t.is(avr.findProperty('audioFormat').value, 'PCM');
+    t.is(avr.findProperty('sampleRate').value, '48 kHz');
+    t.is(avr.findProperty('audioChannels').value, '2.0');
+    t.is(avr.findProperty('videoSignal').value, '1080p60');
+    t.is(avr.findProperty('hdrFormat').value, 'SDR');
+    await t.throwsAsync(avr.setProperty('audioFormat', 'DSD'), { message: 'Read-only property' });
+});
+
+test.serial('only offers surround modes valid for the audio format', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.false(avr.findProperty('surroundMode').enum.includes('DOLBY DIGITAL'));
+    t.false(avr.findProperty('surroundMode').enum.includes('DTS SURROUND'));
+    t.true(avr.findProperty('surroundMode').enum.includes('ROCK ARENA'));
+    denonServer.changeSignal({
+        SSINFAISSIG: '09',
+        SSINFAISCH: '3/4/0.1'
+    });
+    await waitFor(() => avr.findProperty('audioFormat').value === 'DTS:X');
+    t.false(avr.findProperty('surroundMode').enum.includes('DOLBY DIGITAL'));
+    t.true(avr.findProperty('surroundMode').enum.includes('DTS SURROUND'));
+    // No sound field simulations for object based formats
+    t.false(avr.findProperty('surroundMode').enum.includes('ROCK ARENA'));
+    t.is(avr.findProperty('audioChannels').value, '3/4/0.1');
+    await t.throwsAsync(avr.setProperty('surroundMode', 'DOLBY DIGITAL'), { message: /enum/ });
+});
+
+test.serial('accepts surround modes the AVR reports', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('MSDOLBY ATMOS');
+    await waitFor(() => avr.findProperty('surroundMode').value === 'DOLBY ATMOS');
+    t.true(avr.findProperty('surroundMode').enum.includes('DOLBY ATMOS'));
+});
+
+test.serial('reads the signal again when the AVR switches the surround mode', async (t) => {
+    const { avr, denonServer } = t.context;
+    Object.assign(denonServer.state.signal, {
+        SSINFAISSIG: '14',
+        SSINFAISCH: '3/4/0.1.4'
+    });
+    denonServer.pushEvent('MSDOLBY ATMOS');
+    await waitFor(() => avr.findProperty('audioFormat').value === 'Dolby Atmos');
+    t.true(avr.findProperty('surroundMode').enum.includes('DOLBY DIGITAL'));
+    t.is(await avr.setProperty('surroundMode', 'PURE DIRECT'), 'PURE DIRECT');
+    // Still offered for the format after switching away from it
+    t.true(avr.findProperty('surroundMode').enum.includes('DOLBY ATMOS'));
+
+    denonServer.changeSignal({
+        SSINFAISSIG: '02'
+    });
+    await waitFor(() => avr.findProperty('audioFormat').value === 'PCM');
+    t.false(avr.findProperty('surroundMode').enum.includes('DOLBY ATMOS'));
+});
+
+test.serial('remembers modes only for the format reported after the change', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.state.signal.SSINFAISSIG = '14';
+    // The report of the previous signal arrives after the mode change
+    denonServer.send([ 'MSDOLBY ATMOS', 'SSINFAISSIG 02' ]);
+    await waitFor(() => avr.findProperty('audioFormat').value === 'Dolby Atmos');
+    await avr.setProperty('surroundMode', 'STEREO');
+    denonServer.changeSignal({
+        SSINFAISSIG: '02'
+    });
+    await waitFor(() => avr.findProperty('audioFormat').value === 'PCM');
+    t.false(avr.findProperty('surroundMode').enum.includes('DOLBY ATMOS'));
+});
+
+test.serial('reads the signal again after the input changed', async (t) => {
+    const { avr, denonServer } = t.context;
+    Object.assign(denonServer.state.signal, {
+        SSINFAISSIG: '14',
+        SSINFSIGRES: '2160p24',
+        SSINFSIGHDR: 'DV'
+    });
+    await avr.setProperty('avrSource', 'Blu-ray');
+    // HDR is queried last
+    await waitFor(() => avr.findProperty('hdrFormat').value === 'Dolby Vision');
+    t.is(avr.findProperty('audioFormat').value, 'Dolby Atmos');
+    t.is(avr.findProperty('videoSignal').value, '2160p24');
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+
+const QUEUE = [
+    {
+        song: 'First',
+        album: 'Album',
+        artist: 'Artist',
+        image_url: '',
+        qid: 1,
+        mid: '1'
+    },
+    {
+        song: 'Second',
+        album: 'Album',
+        artist: 'Artist',
+        image_url: '',
+        qid: 2,
+        mid: '2'
+    }
+];
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('containmentAmount').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('restores the settings of the AVR in order', async (t) => {
+    const { avr, denonServer } = t.context;
+    await performAction(avr, 'saveSnapshot', 'Movie');
+    await avr.setProperty('avrSource', 'Blu-ray');
+    await avr.setProperty('multEQ', 'FLAT');
+    await avr.setProperty('volume', 30);
+    await avr.setProperty('on', false);
+    denonServer.received = [];
+
+    await performAction(avr, 'restoreSnapshot', 'Movie');
+    t.like(denonServer.state, {
+        main: 'ON',
+        source: 'CD',
+        multEQ: 'AUDYSSEY',
+        volume: '50'
+    });
+    const commands = denonServer.received.map(({ command }) => command);
+    t.true(commands.indexOf('ZMON') < commands.indexOf('SICD'));
+    t.true(commands.indexOf('SICD') < commands.indexOf('MV50'));
+    const received = denonServer.received;
+    const powerOn = received.find(({ command }) => command === 'ZMON');
+    const input = received.find(({ command }) => command === 'SICD');
+    t.true(input.time - powerOn.time >= 1900);
+});
+
+test.serial('switches off when the snapshot was taken while off', async (t) => {
+    const { avr, denonServer } = t.context;
+    await avr.setProperty('on', false);
+    await performAction(avr, 'saveSnapshot', 'Off');
+    await avr.setProperty('on', true);
+    await avr.setProperty('volume', 30);
+    await performAction(avr, 'restoreSnapshot', 'Off');
+    t.is(denonServer.state.main, 'OFF');
+    t.is(denonServer.state.volume, '30');
+});
+
+test.serial('restores the queue position of HEOS players', async (t) => {
+    const { manager, heosServer } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    heosServer.getPlayer(SPEAKER_PLAYER.pid).queue = QUEUE.slice();
+    await performAction(speaker, 'playQueueItem', 2);
+    await waitFor(() => speaker.findProperty('queuePosition').value === 2);
+    await performAction(speaker, 'saveSnapshot', 'Evening');
+
+    await performAction(speaker, 'playQueueItem', 1);
+    await speaker.setProperty('volume', 35);
+    await waitFor(() => speaker.findProperty('queuePosition').value === 1);
+    await performAction(speaker, 'restoreSnapshot', 'Evening');
+    await waitFor(() => speaker.findProperty('queuePosition').value === 2);
+    t.is(heosServer.getPlayer(SPEAKER_PLAYER.pid).level, 20);
+    await t.throwsAsync(performAction(speaker, 'restoreSnapshot', 'Morning'), { message: 'Unknown snapshot Morning' });
+});
+
+test.serial('keeps snapshots of zones across restarts', async (t) => {
+    const { manager, adapter, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    await zone.setProperty('on', true);
+    await zone.setProperty('input', 'Tuner');
+    await performAction(zone, 'saveSnapshot', 'Radio');
+    await zone.setProperty('input', 'CD');
+    await zone.setProperty('volume', 20);
+
+    adapter.snapshots = new adapter.snapshots.constructor(adapter.snapshots.file);
+    await performAction(zone, 'restoreSnapshot', 'Radio');
+    t.like(denonServer.state.zones.Z2, {
+        power: 'ON',
+        input: 'TUNER',
+        volume: '40'
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('ava');
+const net = require('net');
+const { once } = require('events');
+const { DenonTelnet } = require('..');
+const DenonServer = require('./helpers/denon-server');
+
+test.beforeEach(async (t) => {
+    t.context.server = new DenonServer({ fragment: true });
+    await t.context.server.listen();
+    t.context.telnet = new DenonTelnet('127.0.0.1', t.context.server.port);
+    await once(t.context.telnet, 'connect');
+});
+
+test.afterEach.always(async (t) => {
+    t.context.telnet.destroy();
+    await t.context.server.close();
+});
+
+test.serial('frames lines split across packets', async (t) => {
+    const { telnet } = t.context;
+    const messages = [];
+    telnet.on('message', (message) => messages.push(message));
+    await telnet.send('MV?', 'MVMAX');
+    t.deepEqual(messages, [
+        'MV50',
+        'MVMAX 98'
+    ]);
+});
+
+test.serial('terminates commands with a carriage return', async (t) => {
+    const { telnet, server } = t.context;
+    await telnet.send('PW?', 'PW');
+    await telnet.send('SI?', 'SI');
+    t.deepEqual(server.getReceived(), [
+        'PW?',
+        'SI?'
+    ]);
+});
+
+test.serial('resolves with the matching response', async (t) => {
+    const { telnet } = t.context;
+    t.is(await telnet.send('MV45', /^MV\d/), 'MV45');
+    t.is(await telnet.send('SITUNER', 'SI'), 'SITUNER');
+});
+
+test.serial('waits between queued commands', async (t) => {
+    const { telnet, server } = t.context;
+    await Promise.all([
+        telnet.send('MUON'),
+        telnet.send('MUOFF'),
+        telnet.send('MU?', 'MU')
+    ]);
+    const [ first, second, third ] = server.received.map(({ time }) => time);
+    t.true(second - first >= 45);
+    t.true(third - second >= 45);
+});
+
+test.serial('rejects when no response arrives', async (t) => {
+    const { telnet } = t.context;
+    await t.throwsAsync(telnet.waitFor('NEVER', 100), { message: /No response matching NEVER/ });
+    t.is(telnet.waiters.length, 0);
+});
+
+test.serial('rejects pending responses when the connection closes', async (t) => {
+    const { telnet, server } = t.context;
+    const response = telnet.waitFor('PW');
+    server.dropConnections();
+    await t.throwsAsync(response, { message: 'Connection closed' });
+});
+
+test.serial('emits close when the connection is refused', async (t) => {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    const telnet = new DenonTelnet('127.0.0.1', port);
+    const errors = [];
+    telnet.on('error', (error) => errors.push(error));
+    await new Promise((resolve) => telnet.once('close', resolve));
+    t.is(errors[0].code, 'ECONNREFUSED');
+});
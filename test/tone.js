@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment();
+    await waitFor(() => t.context.avr.findProperty('loudness').value !== undefined);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reads the tone controls', (t) => {
+    const { avr } = t.context;
+    t.true(avr.findProperty('toneControl').value);
+    t.is(avr.findProperty('bass').value, 0);
+    t.is(avr.findProperty('treble').value, 0);
+    t.true(avr.findProperty('loudness').value);
+    t.falsy(avr.findProperty('bass').readOnly);
+});
+
+test.serial('sets tone levels in dB', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('bass', -6), -6);
+    t.is(await avr.setProperty('treble', 4), 4);
+    t.deepEqual(denonServer.getReceived('PSBAS 4'), [ 'PSBAS 44' ]);
+    t.deepEqual(denonServer.getReceived('PSTRE 5'), [ 'PSTRE 54' ]);
+    await t.throwsAsync(avr.setProperty('bass', 7), { message: /maximum/ });
+});
+
+test.serial('toggles tone control and loudness', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.false(await avr.setProperty('toneControl', false));
+    t.false(await avr.setProperty('loudness', false));
+    t.is(denonServer.state.toneControl, 'OFF');
+    t.is(denonServer.state.loudness, 'OFF');
+});
+
+test.serial('follows tone changes made on the AVR', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('PSBAS UP');
+    denonServer.pushEvent('PSTRE DOWN');
+    await waitFor(() => avr.findProperty('treble').value === -1);
+    t.is(avr.findProperty('bass').value, 1);
+});
+
+test.serial('blocks tone control in direct modes', async (t) => {
+    const { avr, adapter } = t.context;
+    let announced = 0;
+    const handleDeviceAdded = adapter.handleDeviceAdded;
+    adapter.handleDeviceAdded = (device) => {
+        announced += 1;
+        handleDeviceAdded.call(adapter, device);
+    };
+    await avr.setProperty('surroundMode', 'PURE DIRECT');
+    t.true(avr.findProperty('bass').readOnly);
+    t.true(avr.findProperty('treble').readOnly);
+    t.true(avr.findProperty('toneControl').readOnly);
+    t.is(announced, 1);
+    await t.throwsAsync(avr.setProperty('bass', 2), { message: 'Read-only property' });
+
+    await avr.setProperty('surroundMode', 'STEREO');
+    t.false(avr.findProperty('bass').readOnly);
+    t.is(announced, 2);
+    t.is(await avr.setProperty('bass', 2), 2);
+});
+
+test.serial('blocks tone control while Dynamic EQ is on', async (t) => {
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('PSDYNEQ ON');
+    await waitFor(() => avr.findProperty('bass').readOnly);
+    t.false(avr.findProperty('loudness').readOnly || false);
+    denonServer.pushEvent('PSDYNEQ OFF');
+    await waitFor(() => !avr.findProperty('bass').readOnly);
+    t.pass();
+});
+
+test.serial('controls the tone of zones', async (t) => {
+    const { manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[`heos-${AVR_PLAYER.pid}Z2`]);
+    await waitFor(() => zone.findProperty('treble').value === 0);
+    t.is(zone.findProperty('bass').value, 0);
+    t.is(await zone.setProperty('bass', 3), 3);
+    t.is(await zone.setProperty('treble', -2), -2);
+    t.is(denonServer.state.zones.Z2.bass, '53');
+    t.is(denonServer.state.zones.Z2.treble, '48');
+    t.is(denonServer.state.bass, '50');
+});
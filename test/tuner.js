@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor, performAction } = require('./helpers/gateway');
+
+const startWithTuner = async (t, denon) => {
+    t.context = await startEnvironment({
+        denon
+    });
+    await waitFor(() => t.context.denonServer.getReceived('HDMLT ?').length);
+    await waitFor(() => t.context.avr.findProperty('presetName'));
+};
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('lists the stored presets by name', async (t) => {
+    await startWithTuner(t);
+    const { avr } = t.context;
+    t.deepEqual(avr.findProperty('presetName').enum, [ 'BBC Radio 1', 'Jazz FM' ]);
+    t.is(avr.findProperty('presetName').value, 'BBC Radio 1');
+    t.is(avr.findProperty('presetCatalog').value, '1: BBC Radio 1, 2: Jazz FM');
+    t.true(avr.findProperty('presetCatalog').readOnly);
+    t.falsy(avr.findProperty('dabChannel'));
+    t.falsy(avr.findProperty('hdMulticast'));
+    t.deepEqual(avr.findProperty('band').enum, [ 'AM', 'FM' ]);
+});
+
+test.serial('selects a preset by name', async (t) => {
+    await startWithTuner(t);
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('presetName', 'Jazz FM'), 'Jazz FM');
+    t.is(denonServer.state.preset, '02');
+    t.is(avr.findProperty('preset').value, 2);
+    await t.throwsAsync(avr.setProperty('presetName', 'Radio 3'), { message: /enum/ });
+});
+
+test.serial('stores the current station as a preset', async (t) => {
+    await startWithTuner(t);
+    const { avr, denonServer } = t.context;
+    denonServer.state.stationName = 'Classic FM';
+    await performAction(avr, 'storePreset', 5);
+    t.deepEqual(denonServer.getReceived('TPANMEM'), [ 'TPANMEM' ]);
+    t.is(denonServer.state.presets['05'], 'Classic FM');
+    t.deepEqual(avr.findProperty('presetName').enum, [ 'BBC Radio 1', 'Jazz FM', 'Classic FM' ]);
+    t.is(avr.findProperty('presetName').value, 'Classic FM');
+    t.is(avr.findProperty('presetCatalog').value, '1: BBC Radio 1, 2: Jazz FM, 5: Classic FM');
+});
+
+test.serial('offers DAB on models with a DAB tuner', async (t) => {
+    await startWithTuner(t, {
+        dabChannel: '12B'
+    });
+    const { avr, denonServer } = t.context;
+    t.is(avr.findProperty('dabChannel').value, '12B');
+    t.is(await avr.setProperty('band', 'DAB'), 'DAB');
+    t.is(denonServer.state.band, 'DAB');
+});
+
+test.serial('tunes DAB channels', async (t) => {
+    await startWithTuner(t, {
+        dabChannel: '12B'
+    });
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('dabChannel', '11D'), '11D');
+    t.is(denonServer.state.band, 'DAB');
+    t.is(denonServer.state.dabChannel, '11D');
+    t.is(avr.findProperty('band').value, 'DAB');
+    await t.throwsAsync(avr.setProperty('dabChannel', '14A'), { message: /enum/ });
+});
+
+test.serial('keeps the presets reported by models with fewer presets', async (t) => {
+    await startWithTuner(t, {
+        presetCount: 40
+    });
+    const { avr, denonServer } = t.context;
+    t.deepEqual(avr.findProperty('presetName').enum, [ 'BBC Radio 1', 'Jazz FM' ]);
+    const received = denonServer.received;
+    const query = received.findIndex(({ command }) => command === 'OPTPN ?');
+    t.true(received[query + 1].time - received[query].time < 1000);
+});
+
+test.serial('selects HD Radio multicast channels', async (t) => {
+    await startWithTuner(t, {
+        hdMulticast: 1
+    });
+    const { avr, denonServer } = t.context;
+    t.is(avr.findProperty('hdMulticast').value, 1);
+    t.is(await avr.setProperty('hdMulticast', 3), 3);
+    t.is(denonServer.state.hdMulticast, 3);
+    await t.throwsAsync(avr.setProperty('hdMulticast', 9), { message: /maximum/ });
+});
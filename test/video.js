@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const startWithVideo = async (t, video) => {
+    t.context = await startEnvironment({
+        denon: {
+            video
+        }
+    });
+    await waitFor(() => t.context.denonServer.getReceived('CV?').length && !t.context.avr.reportedChannels);
+};
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('reads the video settings with readable labels', async (t) => {
+    await startWithVideo(t);
+    const { avr } = t.context;
+    t.is(avr.findProperty('videoMode').value, 'Off');
+    t.is(avr.findProperty('hdmiResolution').value, '1080p');
+    t.is(avr.findProperty('aspectRatio').value, '16:9');
+    t.is(avr.findProperty('videoOutput').value, 'HDMI 1');
+    t.is(avr.findProperty('videoMode').title, 'Picture Mode');
+    t.true(avr.findProperty('hdmiResolution').enum.includes('1080p24'));
+});
+
+test.serial('hides video settings the model does not support', async (t) => {
+    await startWithVideo(t, {
+        VSSC: 'AUTO'
+    });
+    const { avr, manager } = t.context;
+    t.is(avr.findProperty('videoResolution').value, 'Auto');
+    for(const name of [ 'videoMode', 'hdmiResolution', 'aspectRatio', 'videoOutput' ]) {
+        t.falsy(avr.findProperty(name), name);
+    }
+    t.is(manager.devices[avr.id], avr);
+});
+
+test.serial('sets video settings by label', async (t) => {
+    await startWithVideo(t);
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('videoMode', 'ISF Night'), 'ISF Night');
+    t.is(await avr.setProperty('hdmiResolution', '1080p24'), '1080p24');
+    t.is(await avr.setProperty('aspectRatio', '4:3'), '4:3');
+    t.is(await avr.setProperty('videoOutput', 'Auto'), 'Auto');
+    t.deepEqual(denonServer.state.video, {
+        PV: 'NGT',
+        VSSCH: '10P24',
+        VSASP: 'NRM',
+        VSMONI: 'AUTO'
+    });
+    await t.throwsAsync(avr.setProperty('hdmiResolution', '10P'), { message: /enum/ });
+});
+
+test.serial('follows video changes made on the AVR', async (t) => {
+    await startWithVideo(t);
+    const { avr, denonServer } = t.context;
+    denonServer.pushEvent('PVMOV');
+    denonServer.pushEvent('VSSCH4KF');
+    await waitFor(() => avr.findProperty('hdmiResolution').value === '4K 60/50');
+    t.is(avr.findProperty('videoMode').value, 'Movie');
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER, SPEAKER_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const SPEAKER_ID = `heos-${SPEAKER_PLAYER.pid}`;
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+const HOUR = 3600000;
+
+/**
+ * @param {number} offset - Hours from now.
+ * @returns {string} Time of day like "22:00".
+ */
+const getTimeOfDay = (offset) => {
+    const date = new Date(Date.now() + (offset * HOUR));
+    return `${date.getHours()}:${`${date.getMinutes()}`.padStart(2, '0')}`;
+};
+
+test.beforeEach(async (t) => {
+    t.context = await startEnvironment({
+        config: {
+            hosts: [
+                {
+                    address: '127.0.0.1',
+                    type: 'AVR'
+                }
+            ],
+            volumeLimits: [
+                {
+                    device: AVR_PLAYER.name,
+                    maximum: 75
+                },
+                {
+                    device: SPEAKER_PLAYER.name,
+                    maximum: 80,
+                    quietHoursMaximum: 25,
+                    quietHoursStart: getTimeOfDay(-1),
+                    quietHoursEnd: getTimeOfDay(1),
+                    enforce: true
+                },
+                {
+                    device: `${AVR_PLAYER.name} Zone 2`,
+                    quietHoursMaximum: 10,
+                    quietHoursStart: getTimeOfDay(1),
+                    quietHoursEnd: getTimeOfDay(2)
+                }
+            ]
+        }
+    });
+    await waitFor(() => t.context.avr.findProperty('avrVolumeLimit').value);
+});
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('clamps the volume to the configured maximum', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(await avr.setProperty('volume', 80), 75);
+    t.is(denonServer.state.volume, '75');
+    t.is(await avr.setProperty('volume', 42.5), 42.5);
+});
+
+test.serial('reads and writes the volume limit of the AVR', async (t) => {
+    const { avr, denonServer } = t.context;
+    t.is(avr.findProperty('avrVolumeLimit').value, 'Off');
+    t.is(await avr.setProperty('avrVolumeLimit', '70'), '70');
+    t.is(denonServer.state.volumeLimit, '70');
+    t.is(await avr.setProperty('volume', 72), 70);
+    t.is(await avr.setProperty('avrVolumeLimit', '80'), '80');
+    t.is(avr.getVolumeLimit(), 75);
+});
+
+test.serial('reports volume raised past the limit on the AVR', async (t) => {
+    const { avr, denonServer, manager } = t.context;
+    denonServer.pushEvent('MV78');
+    await waitFor(() => avr.findProperty('volume').value === 78);
+    t.deepEqual(manager.events.filter(({ name }) => name === 'volumeLimitExceeded'), [
+        {
+            device: avr.id,
+            name: 'volumeLimitExceeded',
+            data: 78
+        }
+    ]);
+    t.is(denonServer.state.volume, '78');
+});
+
+test.serial('turns HEOS players down during quiet hours', async (t) => {
+    const { manager, heosServer } = t.context;
+    const speaker = await waitFor(() => manager.devices[SPEAKER_ID]);
+    await waitFor(() => speaker.findProperty('volume').value === 20);
+    t.is(await speaker.setProperty('volume', 50), 25);
+
+    heosServer.pushEvent('player_volume_changed', {
+        pid: SPEAKER_PLAYER.pid,
+        level: 40,
+        mute: 'off'
+    });
+    await waitFor(() => manager.events.some(({ device, data }) => device === SPEAKER_ID && data === 40));
+    await waitFor(() => heosServer.getPlayer(SPEAKER_PLAYER.pid).level === 25);
+    t.pass();
+});
+
+test.serial('only applies quiet hours during the configured time', async (t) => {
+    const { manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    t.is(zone.getVolumeLimit(), undefined);
+    t.is(await zone.setProperty('volume', 30), 30);
+    t.is(denonServer.state.zones.Z2.volume, '30');
+});
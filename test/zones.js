@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('ava');
+const { startEnvironment, AVR_PLAYER } = require('./helpers/environment');
+const { waitFor } = require('./helpers/gateway');
+
+const ZONE2_ID = `heos-${AVR_PLAYER.pid}Z2`;
+const ZONE3_ID = `heos-${AVR_PLAYER.pid}Z3`;
+
+test.afterEach.always(async (t) => {
+    if(t.context.stop) {
+        await t.context.stop();
+    }
+});
+
+test.serial('only adds zones the AVR answers for', async (t) => {
+    t.context = await startEnvironment({
+        denon: {
+            zones: [ 'Z2' ]
+        }
+    });
+    const { manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    t.true(zone.isZone);
+    t.is(zone.name, `${AVR_PLAYER.name} Zone 2`);
+    t.true(denonServer.getReceived('Z3?').length > 0);
+    t.false(manager.devices.hasOwnProperty(ZONE3_ID));
+    await waitFor(() => zone.findProperty('currentQuickSelect').value !== undefined);
+    // Probed once, then queried once by the zone
+    t.is(denonServer.getReceived('Z2?').length, 2);
+    t.deepEqual(denonServer.getReceived('Z2MU'), [ 'Z2MU?' ]);
+});
+
+test.serial('adds no zones for single zone models', async (t) => {
+    t.context = await startEnvironment({
+        denon: {
+            zones: []
+        }
+    });
+    const { manager, denonServer } = t.context;
+    await waitFor(() => denonServer.getReceived('Z3?').length);
+    t.false(Object.values(manager.devices).some((device) => device.isZone));
+    t.is(t.context.avr.zones.size, 0);
+});
+
+test.serial('reads and controls each zone separately', async (t) => {
+    t.context = await startEnvironment({
+        denon: {
+            zones: [
+                'Z2',
+                'Z3'
+            ]
+        }
+    });
+    const { manager, denonServer } = t.context;
+    const zone2 = await waitFor(() => manager.devices[ZONE2_ID]);
+    const zone3 = await waitFor(() => manager.devices[ZONE3_ID]);
+    await waitFor(() => zone2.findProperty('volume').value === 40 && zone3.findProperty('volume').value === 40);
+    t.false(zone2.findProperty('on').value);
+    t.is(zone2.findProperty('input').value, 'Source');
+
+    t.true(await zone2.setProperty('on', true));
+    t.is(await zone2.setProperty('input', 'Tuner'), 'Tuner');
+    t.is(await zone3.setProperty('volume', 22.5), 22.5);
+    t.true(await zone3.setProperty('muted', true));
+
+    t.like(denonServer.state.zones.Z2, {
+        power: 'ON',
+        input: 'TUNER',
+        volume: '40',
+        muted: 'OFF'
+    });
+    t.like(denonServer.state.zones.Z3, {
+        power: 'OFF',
+        input: 'SOURCE',
+        volume: '225',
+        muted: 'ON'
+    });
+});
+
+test.serial('follows zone changes made on the AVR', async (t) => {
+    t.context = await startEnvironment();
+    const { manager, denonServer } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    denonServer.pushEvent('Z2ON');
+    denonServer.pushEvent('Z2BT');
+    await waitFor(() => zone.findProperty('input').value === 'Bluetooth');
+    t.true(zone.findProperty('on').value);
+});
+
+test.serial('turns off all zones when the AVR goes to standby', async (t) => {
+    t.context = await startEnvironment();
+    const { manager, denonServer, avr } = t.context;
+    const zone = await waitFor(() => manager.devices[ZONE2_ID]);
+    await zone.setProperty('on', true);
+    denonServer.pushEvent('PWSTANDBY');
+    await waitFor(() => !zone.findProperty('on').value);
+    t.false(avr.findProperty('on').value);
+});
+
+test.serial('removes the zones with the AVR', async (t) => {
+    t.context = await startEnvironment();
+    const { manager, adapter, avr } = t.context;
+    await waitFor(() => manager.devices[ZONE2_ID]);
+    adapter.removeThing(avr);
+    t.false(manager.devices.hasOwnProperty(ZONE2_ID));
+    t.false(manager.devices.hasOwnProperty(avr.id));
+    t.is(avr.zones.size, 0);
+});